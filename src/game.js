@@ -22,6 +22,7 @@
 
 const GAME_CONFIG = {
     VERSION: '1.0.0',
+    SAVE_VERSION: 3, // 存档结构版本：GameState.serialize 的字段变化时 +1，并在 SAVE_MIGRATIONS 中补一步迁移
     TOTAL_DAYS: 9,
     PERIODS_PER_DAY: 3,
     PERIOD_NAMES: ['早晨', '中午', '晚上'],
@@ -30,7 +31,9 @@ const GAME_CONFIG = {
         '大年初四', '大年初五', '大年初六', '大年初七'
     ],
     SAVE_SLOTS: 5,
-    AUTO_SAVE_INTERVAL: 60000 // 60秒自动存档
+    AUTO_SAVE_INTERVAL: 60000, // 60秒自动存档
+    EVENT_REPEAT_WINDOW: 6, // 最近 6 条事件记录里出现过的事件尽量不重复抽取
+    RUN_HISTORY_LIMIT: 200 // 对局历史最多保留的条数（超出时丢弃最早的）
 };
 
 const CALENDAR_DISPLAY = {
@@ -108,6 +111,227 @@ const ATTRIBUTE_ICONS = {
     luck: '🍀'
 };
 
+// 本局统计项的显示名称（也是条件中 statistic 的可用值）
+const STATISTIC_NAMES = {
+    totalEvents: '经历事件',
+    totalChoices: '做出选择',
+    moneySpent: '花出去的钱',
+    moneyEarned: '赚到的钱',
+    redEnvelopesGiven: '发出红包',
+    redEnvelopesReceived: '收到红包',
+    mealsEaten: '吃过的饭局',
+    relativesMet: '见过的亲戚',
+    gamblesPlayed: '上牌桌'
+};
+
+// 条件比较符在界面上的写法
+const OPERATOR_SYMBOLS = {
+    '>=': '≥',
+    '<=': '≤',
+    '>': '>',
+    '<': '<',
+    '==': '=',
+    '!=': '≠'
+};
+
+// 结局类型（endings.json 的 ending_type）在结局图鉴中的分组名称
+const ENDING_TYPE_NAMES = {
+    success: '成功结局',
+    normal: '普通结局',
+    special: '特殊结局',
+    hidden: '隐藏结局',
+    failure: '失败结局'
+};
+
+// 选项语义标签 → 计入的统计项
+const OPTION_TAG_STATISTICS = {
+    red_envelope_given: 'redEnvelopesGiven',
+    red_envelope_received: 'redEnvelopesReceived',
+    meal: 'mealsEaten',
+    relative_visit: 'relativesMet',
+    gamble: 'gamblesPlayed'
+};
+
+// 配置文件中 time_slot 的可用值 → 对应的时段索引
+const TIME_SLOT_PERIODS = {
+    'morning': [0],
+    'noon': [1],
+    'afternoon': [1],
+    'evening': [2],
+    'night': [2]
+};
+
+// 后续事件的延迟方式（follow_up_events[].delay）
+const FOLLOW_UP_DELAYS = ['next_period', 'next_day'];
+
+// 专属事件与通用事件的混排方式
+// fill：只在角色当前时段没有专属事件时才出通用事件
+// daily：每天插入 common_per_day 个通用事件（时段随机）
+// chance：每个时段以 common_chance 的概率插入通用事件
+const EVENT_MIX_MODES = ['fill', 'daily', 'chance'];
+
+// 默认混排策略，写法与 characters.json 的 event_mix 相同，角色可单独覆盖
+const EVENT_MIX_POLICY = { mode: 'daily', common_per_day: 1 };
+
+// 剧情标记：选项可执行的写操作、条件可用的比较方式
+const FLAG_ACTIONS = ['set', 'increment', 'clear'];
+const FLAG_OPERATORS = ['set', 'unset', '==', '!=', '>', '>=', '<', '<='];
+
+// 物品：选项可执行的操作
+const ITEM_ACTIONS = ['grant', 'consume'];
+
+// NPC 好感度范围（每局从 0 开始）
+const AFFINITY_BOUNDS = { min: -100, max: 100 };
+
+// 存档结构迁移：键为旧版本号，函数把该版本的存档对象升级到下一版本（返回新对象，不修改原对象）
+// 没有 meta.saveVersion 的存档视为 v1
+const SAVE_MIGRATIONS = {
+    // v1 → v2：补齐后来新增的字段（好感度、新统计项），属性缺失时用默认值
+    // 迁移必须是纯函数：缺少的随机数状态留给 RandomService.deserialize 在读档时补上
+    1: data => {
+        const attributes = { ...(data.attributes || {}) };
+        for (const [attr, bounds] of Object.entries(ATTRIBUTE_BOUNDS)) {
+            if (typeof attributes[attr] !== 'number') {
+                attributes[attr] = data.character?.initial_attributes?.[attr] ?? bounds.default;
+            }
+        }
+        return {
+            ...data,
+            attributes,
+            inventory: data.inventory || {},
+            affinity: data.affinity || {},
+            flags: data.flags || {},
+            eventHistory: data.eventHistory || [],
+            pendingEvents: data.pendingEvents || [],
+            triggeredOnceEvents: data.triggeredOnceEvents || [],
+            achievementsUnlocked: data.achievementsUnlocked || [],
+            statistics: { gamblesPlayed: 0, ...(data.statistics || {}) }
+        };
+    },
+    // v2 → v3：记录当前事件、多段事件的下一段和未关闭的结果弹窗；旧存档读取后照旧抽一个新事件
+    2: data => ({
+        ...data,
+        meta: { ironman: false, ...(data.meta || {}) },
+        currentEvent: data.currentEvent || null,
+        nextEventNode: data.nextEventNode || null,
+        pendingFeedback: data.pendingFeedback || null
+    })
+};
+
+// 导出的存档文件格式：format 标识文件类型，version 变化时旧文件会被拒绝
+const SAVE_FILE_FORMAT = { format: 'spring-festival-save', version: 1 };
+
+// next_event 写成事件 id（如 hao_shitu_2_morning_01）时视为后续事件，否则只作为反馈文案
+const EVENT_ID_PATTERN = /^[a-z0-9_]+$/;
+
+// ============================================
+// RandomService - 随机数服务
+// ============================================
+
+/**
+ * RandomService 是游戏里唯一的随机数来源，可以指定“种子”。
+ * 同一个种子 + 同一串选择，必然走到同一个结局，方便复现玩家反馈的问题。
+ * 算法使用 mulberry32：状态只有一个 32 位整数，可以直接写进存档。
+ */
+class RandomService {
+    /**
+     * @param {number|string} [seed] - 种子，不传则随机生成
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * 生成一个新的随机种子（整个引擎中唯一使用 Math.random 的地方）
+     * @returns {number}
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 把任意输入规范成 32 位无符号整数种子
+     * @param {number|string} seed - 原始种子
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            return RandomService.generateSeed();
+        }
+        const numeric = Number(seed);
+        if (Number.isFinite(numeric)) {
+            return Math.floor(numeric) >>> 0;
+        }
+        // 非数字字符串：做一次简单哈希
+        let hash = 2166136261;
+        for (const ch of String(seed)) {
+            hash = Math.imul(hash ^ ch.codePointAt(0), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 重新设置种子，并把内部状态重置到起点
+     * @param {number|string} [seed] - 种子
+     */
+    setSeed(seed) {
+        this.seed = RandomService.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * 返回 [0, 1) 之间的随机数
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 返回 [min, max] 之间的随机整数（包含两端）
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值
+     * @returns {number}
+     */
+    nextInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * 按概率判定是否命中
+     * @param {number} probability - 概率（0-1）
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 序列化随机数状态
+     * @returns {Object}
+     */
+    serialize() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * 反序列化随机数状态
+     * @param {Object} data - 序列化数据
+     */
+    deserialize(data) {
+        if (!data || data.seed === undefined) {
+            this.setSeed();
+            return;
+        }
+        this.seed = data.seed >>> 0;
+        this.state = (data.state !== undefined ? data.state : data.seed) >>> 0;
+    }
+}
+
 // ============================================
 // GameState - 游戏状态管理器
 // ============================================
@@ -127,9 +351,12 @@ class GameState {
     reset() {
         this.meta = {
             version: GAME_CONFIG.VERSION,
+            saveVersion: GAME_CONFIG.SAVE_VERSION,
             startTime: null,
             lastSaveTime: null,
-            playCount: 0
+            playCount: 0,
+            // 铁人模式：只保留一份随进度覆盖的存档，局中不能读档
+            ironman: false
         };
 
         this.progress = {
@@ -141,6 +368,7 @@ class GameState {
         this.character = null;
         this.attributes = {};
         this.inventory = {};
+        this.affinity = {};
         this.eventHistory = [];
         this.flags = {};
         this.pendingEvents = [];
@@ -154,20 +382,28 @@ class GameState {
             redEnvelopesGiven: 0,
             redEnvelopesReceived: 0,
             mealsEaten: 0,
-            relativesMet: 0
+            relativesMet: 0,
+            gamblesPlayed: 0
         };
 
+        this.random = new RandomService();
         this.currentEvent = null;
+        // 多段事件：上一个选项指向的下一段 { eventId, nodeId }
+        this.nextEventNode = null;
+        // 已结算、但结果弹窗还没关闭的选择 { message, nextNode, specialOutcome }
+        this.pendingFeedback = null;
         this.currentScreen = 'start';
     }
 
     /**
      * 初始化新游戏
      * @param {Object} character - 选择的角色
+     * @param {number|string} [seed] - 随机种子，不传则随机生成
      */
-    initNewGame(character) {
+    initNewGame(character, seed) {
         this.reset();
         this.meta.startTime = Date.now();
+        this.random.setSeed(seed);
         this.character = character;
         
         // 初始化属性
@@ -187,6 +423,11 @@ class GameState {
 
         // 确保属性在有效范围内
         this.clampAllAttributes();
+
+        // 初始物品
+        for (const [itemId, count] of Object.entries(character?.initial_inventory || {})) {
+            this.addItem(itemId, count);
+        }
     }
 
     /**
@@ -230,20 +471,63 @@ class GameState {
      * @param {string} eventId - 事件ID
      * @param {number} choiceIndex - 选择索引
      * @param {string} choiceId - 选择ID
+     * @param {string} [category] - 事件类别（用于成就统计）
+     * @param {string} [nodeId] - 多段事件中的段落ID（第一段不写）
+     * @param {Object} [changes] - 这一步的属性变化 { attribute: delta }
      */
-    recordEvent(eventId, choiceIndex, choiceId) {
+    recordEvent(eventId, choiceIndex, choiceId, category, nodeId, changes) {
         this.eventHistory.push({
             eventId,
+            category,
             day: this.progress.currentDay,
             period: this.progress.currentPeriod,
             choiceIndex,
             choiceId,
+            ...(nodeId ? { nodeId } : {}),
+            // 这一步的属性变化 { face: 5, mood: -3 }，供结局回放使用
+            ...(changes && Object.keys(changes).length > 0 ? { changes } : {}),
             timestamp: Date.now()
         });
-        this.statistics.totalEvents++;
+        // 多段事件的后续段落只算一次选择，不重复计入事件数
+        if (!nodeId) {
+            this.statistics.totalEvents++;
+        }
         this.statistics.totalChoices++;
     }
 
+    /**
+     * 按选项的语义标签累加统计
+     * @param {Array} tags - [{ tag, count }]
+     */
+    recordOptionTags(tags) {
+        if (!Array.isArray(tags)) return;
+        for (const { tag, count } of tags) {
+            const key = OPTION_TAG_STATISTICS[tag];
+            if (key) {
+                this.statistics[key] = (this.statistics[key] || 0) + count;
+            }
+        }
+    }
+
+    /**
+     * 判定统计条件 { statistic, operator, value }，operator 缺省为 ">="
+     * @param {Object} condition - 条件对象
+     * @returns {boolean}
+     */
+    checkStatistic(condition) {
+        const actual = this.statistics[condition.statistic] || 0;
+        const expected = condition.value;
+        switch (condition.operator || '>=') {
+            case '>': return actual > expected;
+            case '<': return actual < expected;
+            case '>=': return actual >= expected;
+            case '<=': return actual <= expected;
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
+            default: return false;
+        }
+    }
+
     /**
      * 设置标记
      * @param {string} name - 标记名
@@ -272,6 +556,133 @@ class GameState {
         return this.flags[name] !== undefined;
     }
 
+    /**
+     * 标记累加（未设置时从 0 开始）
+     * @param {string} name - 标记名
+     * @param {number} amount - 增量
+     */
+    incrementFlag(name, amount = 1) {
+        this.flags[name] = (Number(this.flags[name]) || 0) + amount;
+    }
+
+    /**
+     * 清除标记
+     * @param {string} name - 标记名
+     */
+    clearFlag(name) {
+        delete this.flags[name];
+    }
+
+    /**
+     * 获取物品数量
+     * @param {string} itemId - 物品ID
+     * @returns {number}
+     */
+    getItemCount(itemId) {
+        return this.inventory[itemId] || 0;
+    }
+
+    /**
+     * 检查是否拥有足够数量的物品
+     * @param {string} itemId - 物品ID
+     * @param {number} count - 需要的数量
+     * @returns {boolean}
+     */
+    hasItem(itemId, count = 1) {
+        return this.getItemCount(itemId) >= count;
+    }
+
+    /**
+     * 获得物品
+     * @param {string} itemId - 物品ID
+     * @param {number} count - 数量
+     */
+    addItem(itemId, count = 1) {
+        if (!(count > 0)) return;
+        this.inventory[itemId] = this.getItemCount(itemId) + count;
+    }
+
+    /**
+     * 消耗物品（不足时只扣到 0）
+     * @param {string} itemId - 物品ID
+     * @param {number} count - 数量
+     */
+    removeItem(itemId, count = 1) {
+        const remaining = this.getItemCount(itemId) - count;
+        if (remaining > 0) {
+            this.inventory[itemId] = remaining;
+        } else {
+            delete this.inventory[itemId];
+        }
+    }
+
+    /**
+     * 获取某个 NPC 的好感度（没打过交道为 0）
+     * @param {string} npcId - NPC ID
+     * @returns {number}
+     */
+    getAffinity(npcId) {
+        return this.affinity[npcId] || 0;
+    }
+
+    /**
+     * 修改 NPC 好感度，限制在 AFFINITY_BOUNDS 范围内
+     * @param {string} npcId - NPC ID
+     * @param {number} delta - 变化量
+     */
+    changeAffinity(npcId, delta) {
+        const value = this.getAffinity(npcId) + delta;
+        this.affinity[npcId] = Math.max(AFFINITY_BOUNDS.min, Math.min(AFFINITY_BOUNDS.max, value));
+    }
+
+    /**
+     * 判定好感度条件 { npc, operator, value }，operator 缺省为 ">="
+     * @param {Object} condition - 条件对象
+     * @returns {boolean}
+     */
+    checkAffinity(condition) {
+        const actual = this.getAffinity(condition.npc);
+        const expected = condition.value;
+        switch (condition.operator || '>=') {
+            case '>': return actual > expected;
+            case '<': return actual < expected;
+            case '>=': return actual >= expected;
+            case '<=': return actual <= expected;
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
+            default: return false;
+        }
+    }
+
+    /**
+     * 判定标记条件
+     * 写法：{ flag, operator, value }；不写 operator 时，有 value 视为 "=="，没有 value 视为 "set"（已设置）
+     * 兼容旧写法 { flagName, flagValue }
+     * @param {Object} condition - 条件对象
+     * @returns {boolean}
+     */
+    checkFlag(condition) {
+        const name = condition.flag !== undefined ? condition.flag : condition.flagName;
+        const expected = condition.value !== undefined ? condition.value : condition.flagValue;
+        const operator = condition.operator || (expected === undefined ? 'set' : '==');
+        const actual = this.getFlag(name);
+
+        switch (operator) {
+            case 'set': return this.hasFlag(name);
+            case 'unset': return !this.hasFlag(name);
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
+        }
+        if (typeof actual !== 'number') return false;
+        switch (operator) {
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            default: return false;
+        }
+    }
+
     /**
      * 添加待触发事件
      * @param {string} eventId - 事件ID
@@ -282,7 +693,8 @@ class GameState {
             eventId,
             triggerDay: options.triggerDay,
             triggerPeriod: options.triggerPeriod,
-            priority: options.priority || 0
+            priority: options.priority || 0,
+            ...(options.missed ? { missed: true } : {})
         });
     }
 
@@ -305,6 +717,46 @@ class GameState {
         return this.triggeredOnceEvents.includes(eventId);
     }
 
+    /**
+     * 检查本局是否经历过某个事件或选过某个选项
+     * @param {string} id - 事件ID或选项ID
+     * @returns {boolean}
+     */
+    hasExperienced(id) {
+        return this.isEventTriggered(id) ||
+            this.eventHistory.some(h => h.eventId === id || h.choiceId === id);
+    }
+
+    /**
+     * 本局某个事件出现过的次数
+     * @param {string} eventId - 事件ID
+     * @returns {number}
+     */
+    getEventOccurrences(eventId) {
+        return this.eventHistory.filter(h => h.eventId === eventId && !h.nodeId).length;
+    }
+
+    /**
+     * 距离某个事件上次出现过去了多少个时段（从未出现返回 Infinity）
+     * @param {string} eventId - 事件ID
+     * @returns {number}
+     */
+    getPeriodsSinceEvent(eventId) {
+        const last = [...this.eventHistory].reverse().find(h => h.eventId === eventId);
+        if (!last) return Infinity;
+        const toIndex = (day, period) => (day - 1) * GAME_CONFIG.PERIODS_PER_DAY + period;
+        return toIndex(this.progress.currentDay, this.progress.currentPeriod) - toIndex(last.day, last.period);
+    }
+
+    /**
+     * 最近若干条事件记录中出现过的事件ID
+     * @param {number} size - 记录条数
+     * @returns {Set}
+     */
+    getRecentEventIds(size) {
+        return new Set(this.eventHistory.slice(-size).map(h => h.eventId));
+    }
+
     /**
      * 限制属性在有效范围内
      */
@@ -325,36 +777,83 @@ class GameState {
      */
     serialize() {
         return {
-            meta: { ...this.meta },
+            meta: { ...this.meta, saveVersion: GAME_CONFIG.SAVE_VERSION },
             progress: { ...this.progress },
             character: this.character,
             attributes: { ...this.attributes },
             inventory: { ...this.inventory },
+            affinity: { ...this.affinity },
             eventHistory: [...this.eventHistory],
             flags: { ...this.flags },
             pendingEvents: [...this.pendingEvents],
             triggeredOnceEvents: [...this.triggeredOnceEvents],
             achievementsUnlocked: [...this.achievementsUnlocked],
-            statistics: { ...this.statistics }
+            statistics: { ...this.statistics },
+            random: this.random.serialize(),
+            // 当前事件整份保存（含选项），读档后原样显示，不重新抽取
+            currentEvent: this.currentEvent,
+            nextEventNode: this.nextEventNode,
+            pendingFeedback: this.pendingFeedback
         };
     }
 
     /**
-     * 反序列化游戏状态
+     * 存档对象的结构版本（旧存档没有 saveVersion，视为 v1）
+     * @param {Object} data - 序列化数据
+     * @returns {number}
+     */
+    static getSaveVersion(data) {
+        return Number.isInteger(data?.meta?.saveVersion) ? data.meta.saveVersion : 1;
+    }
+
+    /**
+     * 把旧版本存档逐版本升级到当前结构
+     * @param {Object} data - 序列化数据
+     * @returns {Object} 升级后的新对象（已是当前版本时原样返回）
+     * @throws {Error} 存档来自更新版本的游戏，或缺少某一步迁移
+     */
+    static migrate(data) {
+        let version = GameState.getSaveVersion(data);
+        if (version > GAME_CONFIG.SAVE_VERSION) {
+            throw new Error(`存档来自更新版本的游戏（存档结构 v${version}），请先更新游戏`);
+        }
+
+        let migrated = data;
+        while (version < GAME_CONFIG.SAVE_VERSION) {
+            const step = SAVE_MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`缺少存档结构 v${version} → v${version + 1} 的迁移`);
+            }
+            migrated = step(migrated);
+            version++;
+            migrated.meta = { ...(migrated.meta || {}), saveVersion: version };
+        }
+        return migrated;
+    }
+
+    /**
+     * 反序列化游戏状态（旧版本存档会先经过 migrate 升级）
      * @param {Object} data - 序列化数据
      */
     deserialize(data) {
+        data = GameState.migrate(data);
         this.meta = data.meta || this.meta;
         this.progress = data.progress || this.progress;
         this.character = data.character;
         this.attributes = data.attributes || {};
         this.inventory = data.inventory || {};
+        this.affinity = data.affinity || {};
         this.eventHistory = data.eventHistory || [];
         this.flags = data.flags || {};
         this.pendingEvents = data.pendingEvents || [];
         this.triggeredOnceEvents = data.triggeredOnceEvents || [];
         this.achievementsUnlocked = data.achievementsUnlocked || [];
-        this.statistics = data.statistics || {};
+        // 旧存档可能缺少后来新增的统计项，用默认值补齐
+        this.statistics = { ...this.statistics, ...(data.statistics || {}) };
+        this.random.deserialize(data.random);
+        this.currentEvent = data.currentEvent || null;
+        this.nextEventNode = data.nextEventNode || null;
+        this.pendingFeedback = data.pendingFeedback || null;
     }
 }
 
@@ -446,7 +945,7 @@ class AttributeManager {
 
                 // 处理随机值
                 if (typeof value === 'object' && value.min !== undefined && value.max !== undefined) {
-                    value = Math.floor(Math.random() * (value.max - value.min + 1)) + value.min;
+                    value = this.gameState.random.nextInt(value.min, value.max);
                 }
 
                 // 检查条件
@@ -465,12 +964,39 @@ class AttributeManager {
                     newValue,
                     change: newValue - oldValue
                 });
+            } else if (effect.type === 'flag') {
+                this.applyFlagEffect(effect);
+            } else if (effect.type === 'item') {
+                if (effect.action === 'consume') {
+                    this.gameState.removeItem(effect.item, effect.count);
+                } else {
+                    this.gameState.addItem(effect.item, effect.count);
+                }
+            } else if (effect.type === 'affinity') {
+                this.gameState.changeAffinity(effect.npc, effect.value);
             }
         }
 
         return results;
     }
 
+    /**
+     * 执行标记效果（不计入属性变化结果）
+     * @param {Object} effect - { type: 'flag', flag, action: 'set'|'increment'|'clear', value }
+     */
+    applyFlagEffect(effect) {
+        switch (effect.action) {
+            case 'increment':
+                this.gameState.incrementFlag(effect.flag, effect.value !== undefined ? effect.value : 1);
+                break;
+            case 'clear':
+                this.gameState.clearFlag(effect.flag);
+                break;
+            default:
+                this.gameState.setFlag(effect.flag, effect.value !== undefined ? effect.value : true);
+        }
+    }
+
     /**
      * 检查条件
      * @param {Object} condition - 条件对象
@@ -495,9 +1021,17 @@ class AttributeManager {
                     default: return value >= targetValue;
                 }
             case 'flag':
-                return this.gameState.getFlag(params.flagName) === params.flagValue;
+                return this.gameState.checkFlag(params);
+            case 'item':
+                return this.gameState.hasItem(params.item, params.count || 1);
+            case 'statistic':
+                return this.gameState.checkStatistic(params);
+            case 'affinity':
+                return this.gameState.checkAffinity(params);
+            case 'history':
+                return this.gameState.hasExperienced(params.id);
             case 'random':
-                return Math.random() < params.probability;
+                return this.gameState.random.chance(params.probability);
             default:
                 return true;
         }
@@ -561,6 +1095,25 @@ class EventManager {
         this.attributeManager = attributeManager;
         this.events = [];
         this.eventMap = new Map();
+        this.optionMap = new Map();
+        this.itemMap = new Map();
+        this.npcMap = new Map();
+    }
+
+    /**
+     * 加载物品目录（用于生成“需要 茅台×1”之类的说明）
+     * @param {Array} items - 物品数组
+     */
+    loadItems(items) {
+        this.itemMap = new Map((items || []).map(item => [item.id, item]));
+    }
+
+    /**
+     * 加载 NPC 名册（用于条件说明）
+     * @param {Array} npcs - NPC 数组
+     */
+    loadNpcs(npcs) {
+        this.npcMap = new Map((npcs || []).map(npc => [npc.id, npc]));
     }
 
     /**
@@ -571,8 +1124,13 @@ class EventManager {
         this.events = events || [];
         this.eventMap.clear();
         
+        this.optionMap.clear();
         for (const event of this.events) {
             this.eventMap.set(event.id, event);
+            const nodeOptions = (event.nodes || []).flatMap(node => node.options || []);
+            for (const option of [...(event.options || []), ...nodeOptions]) {
+                this.optionMap.set(option.id, option);
+            }
         }
     }
 
@@ -592,33 +1150,56 @@ class EventManager {
     getNextEvent() {
         const { currentDay, currentPeriod } = this.gameState.progress;
 
-        // 1. 检查待触发事件队列
-        const pendingEvent = this.getPendingEvent();
-        if (pendingEvent) {
-            return pendingEvent;
-        }
-
-        // 2. 获取所有可用事件
         const availableEvents = this.events.filter(event => 
             this.isEventAvailable(event, currentDay, currentPeriod)
         );
+        const characterId = this.gameState.character?.id;
+        const characterEvents = characterId
+            ? availableEvents.filter(event => event.exclusiveTo && event.exclusiveTo.includes(characterId))
+            : [];
+        const commonEvents = availableEvents.filter(event => !characterEvents.includes(event));
+
+        // 1. 检查待触发事件队列；本时段的剧本事件被后续事件挤掉时排到后面补上
+        // 补上的剧本事件本身占用的是空时段，不会再挤掉别的剧本事件
+        const pending = this.getPendingEvent();
+        if (pending) {
+            if (!pending.missed) {
+                this.queueMissedEvent(characterEvents.filter(event => event.id !== pending.event.id));
+            }
+            return pending.event;
+        }
 
         if (availableEvents.length === 0) {
             return this.getDefaultEvent();
         }
 
-        const characterId = this.gameState.character?.id;
-        const characterEvents = characterId
-            ? availableEvents.filter(event => event.exclusiveTo && event.exclusiveTo.includes(characterId))
-            : [];
-        const eventPool = characterEvents.length > 0 ? characterEvents : availableEvents;
+        // 2. 按混排策略决定本时段出专属事件还是通用事件
+        const useCommon = characterEvents.length === 0 ||
+            (commonEvents.length > 0 && this.shouldUseCommonEvent());
+        if (useCommon) {
+            this.queueMissedEvent(characterEvents);
+        }
 
         // 3. 按权重随机选择
-        const totalWeight = eventPool.reduce((sum, e) => sum + (e.weight || 100), 0);
-        let random = Math.random() * totalWeight;
+        return this.pickWeighted(useCommon ? commonEvents : characterEvents);
+    }
+
+    /**
+     * 从候选事件中按权重抽取一个
+     * 最近出现过的事件先排除，全部被排除时仍从原候选中抽
+     * @param {Array} events - 候选事件
+     * @returns {Object}
+     */
+    pickWeighted(events) {
+        const recentIds = this.gameState.getRecentEventIds(GAME_CONFIG.EVENT_REPEAT_WINDOW);
+        const freshPool = events.filter(event => !recentIds.has(event.id));
+        const eventPool = freshPool.length > 0 ? freshPool : events;
+
+        const totalWeight = eventPool.reduce((sum, e) => sum + this.getEffectiveWeight(e), 0);
+        let random = this.gameState.random.next() * totalWeight;
 
         for (const event of eventPool) {
-            random -= (event.weight || 100);
+            random -= this.getEffectiveWeight(event);
             if (random <= 0) {
                 return event;
             }
@@ -628,45 +1209,165 @@ class EventManager {
     }
 
     /**
-     * 检查事件是否可用
-     * @param {Object} event - 事件对象
-     * @param {number} day - 当前天数
-     * @param {number} period - 当前时段
-     * @returns {boolean}
+     * 本时段的剧本事件没能出场时，排到角色之后第一个没有剧本的时段补上
+     * 不在同一时段补，避免一天的事件数变多；之后的时段都排满时就不再补上
+     * @param {Array} characterEvents - 本时段可用的角色专属事件
      */
-    isEventAvailable(event, day, period) {
-        // 检查是否已触发（一次性事件）
-        if (event.onceOnly && this.gameState.isEventTriggered(event.id)) {
-            return false;
-        }
+    queueMissedEvent(characterEvents) {
+        const candidates = characterEvents.filter(event =>
+            !this.gameState.pendingEvents.some(p => p.eventId === event.id)
+        );
+        if (candidates.length === 0) return;
 
-        // 检查触发条件
-        if (event.triggerConditions) {
-            for (const condition of event.triggerConditions) {
-                if (!this.checkTriggerCondition(condition, day, period)) {
-                    return false;
-                }
-            }
-        }
+        const slot = this.findFreeScriptSlot();
+        if (!slot) return;
 
-        // 检查互斥事件
-        if (event.mutuallyExclusive) {
-            for (const mutexId of event.mutuallyExclusive) {
-                if (this.gameState.isEventTriggered(mutexId)) {
-                    return false;
-                }
-            }
-        }
+        this.gameState.addPendingEvent(this.pickWeighted(candidates).id, {
+            triggerDay: slot.day,
+            triggerPeriod: slot.period,
+            missed: true
+        });
+    }
+
+    /**
+     * 查找当前时段之后第一个角色没有剧本事件、也没有排队事件的时段
+     * @returns {{day: number, period: number}|null}
+     */
+    findFreeScriptSlot() {
+        const { currentDay, currentPeriod } = this.gameState.progress;
+        const periods = GAME_CONFIG.PERIODS_PER_DAY;
+        const lastSlot = GAME_CONFIG.TOTAL_DAYS * periods;
+
+        for (let slot = (currentDay - 1) * periods + currentPeriod + 1; slot < lastSlot; slot++) {
+            const day = Math.floor(slot / periods) + 1;
+            const period = slot % periods;
+            const queued = this.gameState.pendingEvents.some(p =>
+                p.triggerDay === day && p.triggerPeriod === period
+            );
+            if (!queued && !this.hasScriptedEvent(day, period)) {
+                return { day, period };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 角色在指定时段是否排有剧本事件（只看日期与时段，不看其他触发条件）
+     * @param {number} day - 天数
+     * @param {number} period - 时段
+     * @returns {boolean}
+     */
+    hasScriptedEvent(day, period) {
+        const characterId = this.gameState.character?.id;
+        if (!characterId) return false;
+        return this.events.some(event =>
+            event.exclusiveTo && event.exclusiveTo.includes(characterId) &&
+            !event.followUpOnly &&
+            !(event.onceOnly && this.gameState.isEventTriggered(event.id)) &&
+            (event.triggerConditions || [])
+                .filter(condition => condition.type === 'time')
+                .every(condition => this.checkTriggerCondition(condition, day, period))
+        );
+    }
+
+    /**
+     * 获取当前角色的混排策略（角色的 event_mix 优先，否则用 EVENT_MIX_POLICY）
+     * @returns {{mode: string, commonPerDay: number, commonChance: number}}
+     */
+    getMixPolicy() {
+        const policy = this.gameState.character?.event_mix || EVENT_MIX_POLICY;
+        return {
+            mode: policy.mode || 'fill',
+            commonPerDay: policy.common_per_day !== undefined ? policy.common_per_day : 1,
+            commonChance: policy.common_chance !== undefined ? policy.common_chance : 0
+        };
+    }
+
+    /**
+     * 角色本时段有专属事件时，是否改出一个通用事件
+     * @returns {boolean}
+     */
+    shouldUseCommonEvent() {
+        const policy = this.getMixPolicy();
+        switch (policy.mode) {
+            case 'chance':
+                return this.gameState.random.chance(policy.commonChance);
+
+            case 'daily': {
+                const { currentDay, currentPeriod } = this.gameState.progress;
+                const usedToday = this.gameState.eventHistory.filter(h =>
+                    h.day === currentDay && !h.nodeId && this.isCommonEvent(h.eventId)
+                ).length;
+                const remaining = policy.commonPerDay - usedToday;
+                if (remaining <= 0) return false;
+                // 剩余名额摊到今天剩下的时段里，保证名额用完且时段随机
+                return this.gameState.random.chance(remaining / (GAME_CONFIG.PERIODS_PER_DAY - currentPeriod));
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 是否为通用事件（不属于任何角色）
+     * @param {string} eventId - 事件ID
+     * @returns {boolean}
+     */
+    isCommonEvent(eventId) {
+        const event = this.getEvent(eventId);
+        return !!event && !(event.exclusiveTo && event.exclusiveTo.length > 0);
+    }
+
+    /**
+     * 抽取时的实际权重：本局出现次数越多，权重越低，让少见的事件更容易轮到
+     * @param {Object} event - 事件对象
+     * @returns {number}
+     */
+    getEffectiveWeight(event) {
+        return (event.weight || 100) / (1 + this.gameState.getEventOccurrences(event.id));
+    }
+
+    /**
+     * 检查事件是否可用
+     * @param {Object} event - 事件对象
+     * @param {number} day - 当前天数
+     * @param {number} period - 当前时段
+     * @returns {boolean}
+     */
+    isEventAvailable(event, day, period) {
+        // 只能由其他选项的后续事件触发
+        if (event.followUpOnly) {
+            return false;
+        }
+
+        // 检查是否已触发（一次性事件）
+        if (event.onceOnly && this.gameState.isEventTriggered(event.id)) {
+            return false;
+        }
+
+        // 检查出现次数上限与冷却时段
+        if (event.maxOccurrences && this.gameState.getEventOccurrences(event.id) >= event.maxOccurrences) {
+            return false;
+        }
+        if (event.cooldownPeriods && this.gameState.getPeriodsSinceEvent(event.id) <= event.cooldownPeriods) {
+            return false;
+        }
 
-        // 检查前置事件
-        if (event.prerequisiteEvents) {
-            for (const preId of event.prerequisiteEvents) {
-                if (!this.gameState.isEventTriggered(preId)) {
+        // 检查触发条件
+        if (event.triggerConditions) {
+            for (const condition of event.triggerConditions) {
+                if (!this.checkTriggerCondition(condition, day, period)) {
                     return false;
                 }
             }
         }
 
+        // 检查互斥事件、前置事件
+        if (!this.checkEventLinks(event)) {
+            return false;
+        }
+
         // 检查角色专属
         if (event.exclusiveTo && this.gameState.character) {
             if (!event.exclusiveTo.includes(this.gameState.character.id)) {
@@ -677,6 +1378,24 @@ class EventManager {
         return true;
     }
 
+    /**
+     * 检查前置事件与互斥事件（事件和选项共用）
+     * 列表中可以是事件ID，也可以是选项ID（表示“选过这个选项”）
+     * @param {Object} target - 带 prerequisiteEvents / mutuallyExclusive 的事件或选项
+     * @returns {boolean}
+     */
+    checkEventLinks(target) {
+        if (target.mutuallyExclusive &&
+            target.mutuallyExclusive.some(id => this.gameState.hasExperienced(id))) {
+            return false;
+        }
+        if (target.prerequisiteEvents &&
+            !target.prerequisiteEvents.every(id => this.gameState.hasExperienced(id))) {
+            return false;
+        }
+        return true;
+    }
+
     /**
      * 检查触发条件
      * @param {Object} condition - 条件对象
@@ -715,7 +1434,7 @@ class EventManager {
                     const luck = this.attributeManager.get('luck');
                     probability += (luck - 50) / 500; // 运气影响概率
                 }
-                return Math.random() < probability;
+                return this.gameState.random.chance(probability);
 
             case 'event_history':
                 const triggered = this.gameState.isEventTriggered(params.eventId);
@@ -724,6 +1443,15 @@ class EventManager {
             case 'character':
                 return params.characterIds.includes(this.gameState.character?.id);
 
+            case 'flag':
+                return this.gameState.checkFlag(params);
+
+            case 'statistic':
+                return this.gameState.checkStatistic(params);
+
+            case 'affinity':
+                return this.gameState.checkAffinity(params);
+
             default:
                 return true;
         }
@@ -731,7 +1459,7 @@ class EventManager {
 
     /**
      * 获取待触发事件
-     * @returns {Object|null}
+     * @returns {{event: Object, missed: boolean}|null} missed 表示这是补上的剧本事件
      */
     getPendingEvent() {
         const { currentDay, currentPeriod } = this.gameState.progress;
@@ -745,13 +1473,15 @@ class EventManager {
             })
             .sort((a, b) => (b.priority || 0) - (a.priority || 0));
 
-        if (sortedPending.length > 0) {
-            const pending = sortedPending[0];
+        for (const pending of sortedPending) {
             // 从队列中移除
             this.gameState.pendingEvents = this.gameState.pendingEvents.filter(
                 p => p !== pending
             );
-            return this.getEvent(pending.eventId);
+            const event = this.getEvent(pending.eventId);
+            // 跳过不存在或已触发过的一次性事件
+            if (!event || (event.onceOnly && this.gameState.isEventTriggered(event.id))) continue;
+            return { event, missed: !!pending.missed };
         }
 
         return null;
@@ -809,11 +1539,21 @@ class EventManager {
         const choice = event.options[choiceIndex];
         if (!choice) return null;
 
-        // 应用效果
+        // 应用效果（物品变化通过前后对比背包得出）
+        const inventoryBefore = { ...this.gameState.inventory };
+        const affinityBefore = { ...this.gameState.affinity };
         const effectResults = this.attributeManager.applyEffects(choice.effects);
-
-        // 记录事件
-        this.gameState.recordEvent(event.id, choiceIndex, choice.id);
+        const itemResults = this.diffInventory(inventoryBefore, this.gameState.inventory);
+        const affinityResults = this.diffInventory(affinityBefore, this.gameState.affinity)
+            .map(({ item, change }) => ({ npc: item, change }));
+
+        // 记录事件（连同这一步的属性变化）
+        const changes = {};
+        for (const { attribute, change } of effectResults || []) {
+            if (change !== 0) changes[attribute] = (changes[attribute] || 0) + change;
+        }
+        this.gameState.recordEvent(event.id, choiceIndex, choice.id, event.category, event.nodeId, changes);
+        this.gameState.recordOptionTags(choice.tags);
 
         // 标记一次性事件
         if (event.onceOnly) {
@@ -845,7 +1585,7 @@ class EventManager {
                 }
 
                 // 概率检查
-                if (followUp.probability && Math.random() > followUp.probability) {
+                if (followUp.probability && !this.gameState.random.chance(followUp.probability)) {
                     continue;
                 }
 
@@ -863,14 +1603,54 @@ class EventManager {
             specialOutcome = choice.specialOutcome;
         }
 
+        // 多段事件：选项指向同一事件的下一段
+        const nextNode = choice.nextNode && this.getEventNode(event, choice.nextNode) ? choice.nextNode : null;
+
         return {
             choice,
             effectResults,
+            itemResults,
+            affinityResults,
             specialOutcome,
+            nextNode,
             feedback: choice.feedback
         };
     }
 
+    /**
+     * 获取多段事件的某一段：沿用事件本身的标题、场景等，换成这一段的描述和选项
+     * @param {Object} event - 事件对象（也可以是某一段）
+     * @param {string} nodeId - 段落ID
+     * @returns {Object|null}
+     */
+    getEventNode(event, nodeId) {
+        const root = this.getEvent(event.id) || event;
+        const node = (root.nodes || []).find(n => n.id === nodeId);
+        if (!node) return null;
+        return {
+            ...root,
+            nodeId: node.id,
+            description: node.description || root.description,
+            options: node.options || []
+        };
+    }
+
+    /**
+     * 对比两份背包，得出每种物品的数量变化（好感度表同样适用）
+     * @param {Object} before - 变化前
+     * @param {Object} after - 变化后
+     * @returns {Array} [{ item, change }]
+     */
+    diffInventory(before, after) {
+        const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const results = [];
+        for (const item of ids) {
+            const change = (after[item] || 0) - (before[item] || 0);
+            if (change !== 0) results.push({ item, change });
+        }
+        return results;
+    }
+
     /**
      * 获取可用的选项
      * @param {Object} event - 事件对象
@@ -883,20 +1663,22 @@ class EventManager {
             let available = true;
             let unavailableReason = '';
 
-            // 检查可用条件
+            // 检查可用条件：列出所有未满足的条件
             if (option.availabilityConditions) {
-                for (const condition of option.availabilityConditions) {
-                    if (!this.attributeManager.checkCondition(condition)) {
-                        available = false;
-                        unavailableReason = option.unavailableText || '条件不满足';
-                        break;
-                    }
+                const failed = option.availabilityConditions.filter(
+                    condition => !this.attributeManager.checkCondition(condition)
+                );
+                if (failed.length > 0) {
+                    available = false;
+                    // 同一物品可能同时出现在 requires 和 item_conditions/consume 里，相同的描述只列一次
+                    const reasons = [...new Set(failed.map(condition => this.describeCondition(condition)))];
+                    unavailableReason = option.unavailableText || `需要 ${reasons.join('、')}`;
                 }
             }
 
-            // 检查可见条件
-            let visible = true;
-            if (option.visibilityConditions) {
+            // 检查可见条件（前置/互斥不满足的剧情分支直接隐藏）
+            let visible = this.checkEventLinks(option);
+            if (visible && option.visibilityConditions) {
                 for (const condition of option.visibilityConditions) {
                     if (!this.attributeManager.checkCondition(condition)) {
                         visible = false;
@@ -914,6 +1696,45 @@ class EventManager {
             };
         }).filter(opt => opt.visible);
     }
+
+    /**
+     * 把一个选项条件写成玩家能看懂的短语，例如“面子≥60”“茅台×1”
+     * 条件上带 label 时直接使用
+     * @param {Object} condition - { type, params, label }
+     * @returns {string}
+     */
+    describeCondition(condition) {
+        if (condition.label) return condition.label;
+
+        const params = condition.params || {};
+        const symbol = OPERATOR_SYMBOLS[params.operator || '>='] || params.operator;
+        switch (condition.type) {
+            case 'attribute': {
+                const value = typeof params.value === 'number' ? params.value.toLocaleString('zh-CN') : params.value;
+                return `${ATTRIBUTE_NAMES[params.attribute] || params.attribute}${symbol}${value}`;
+            }
+            case 'statistic':
+                return `${STATISTIC_NAMES[params.statistic] || params.statistic}${symbol}${params.value}`;
+            case 'affinity': {
+                const npc = this.npcMap.get(params.npc);
+                return `${npc ? npc.name : params.npc}好感${symbol}${params.value}`;
+            }
+            case 'item': {
+                const item = this.itemMap.get(params.item);
+                return `${item ? `${item.icon || ''}${item.name}` : params.item}×${params.count || 1}`;
+            }
+            case 'history': {
+                const option = this.optionMap.get(params.id);
+                if (option) return `之前选过「${option.text}」`;
+                const event = this.eventMap.get(params.id);
+                return event ? `经历过「${event.title}」` : '特定经历';
+            }
+            case 'flag':
+                return '特定剧情进展';
+            default:
+                return '条件不满足';
+        }
+    }
 }
 
 // ============================================
@@ -927,13 +1748,24 @@ class EventManager {
 class SaveManager {
     constructor(gameState) {
         this.gameState = gameState;
+        // 键名里的 _v1 是“存档槽列表”这层容器的版本，不随内容更新改变；
+        // 每个存档自身的结构版本记录在 gameState.meta.saveVersion，读取时逐版本迁移
         this.storageKey = 'springFestivalSaves_v1';
         this.settingsKey = 'springFestivalSettings_v1';
         this.maxSlots = GAME_CONFIG.SAVE_SLOTS;
         this.saves = [];
+        this.characters = [];
         this.autoSaveTimer = null;
     }
 
+    /**
+     * 加载角色列表（导入存档时按 id 换成本地的角色数据）
+     * @param {Array} characters - 角色数组
+     */
+    loadCharacters(characters) {
+        this.characters = characters || [];
+    }
+
     /**
      * 初始化存档管理器
      */
@@ -950,6 +1782,7 @@ class SaveManager {
             const data = localStorage.getItem(this.storageKey);
             if (data) {
                 this.saves = JSON.parse(data);
+                this.migrateSaves();
             } else {
                 this.saves = new Array(this.maxSlots).fill(null);
             }
@@ -959,6 +1792,38 @@ class SaveManager {
         }
     }
 
+    /**
+     * 把存档槽里的旧版本存档升级到当前结构并写回
+     * 升级失败（例如来自更新版本的游戏）的存档原样保留，不会被删除。
+     */
+    migrateSaves() {
+        if (!Array.isArray(this.saves)) {
+            this.saves = [];
+        }
+        // 存档槽数量增加时补齐空槽
+        while (this.saves.length < this.maxSlots) {
+            this.saves.push(null);
+        }
+
+        let changed = false;
+        this.saves = this.saves.map((save, index) => {
+            if (!save || !save.gameState) return save;
+            if (GameState.getSaveVersion(save.gameState) === GAME_CONFIG.SAVE_VERSION) return save;
+            try {
+                const gameState = GameState.migrate(save.gameState);
+                changed = true;
+                return { ...save, gameState };
+            } catch (e) {
+                console.error(`存档 ${index + 1} 升级失败:`, e);
+                return save;
+            }
+        });
+
+        if (changed) {
+            this.saveToStorage();
+        }
+    }
+
     /**
      * 保存到存储
      */
@@ -1009,7 +1874,12 @@ class SaveManager {
             return false;
         }
 
-        this.gameState.deserialize(save.gameState);
+        try {
+            this.gameState.deserialize(save.gameState);
+        } catch (e) {
+            console.error('读取存档失败:', e);
+            return false;
+        }
         return true;
     }
 
@@ -1063,25 +1933,75 @@ class SaveManager {
      * @returns {boolean}
      */
     autoSave() {
-        // 找到空槽或覆盖最早的存档
-        let slotIndex = this.findEmptySlot();
-        if (slotIndex === -1) {
-            // 找到最早的存档
-            let oldestIndex = 0;
-            let oldestTime = Infinity;
-            for (let i = 0; i < this.saves.length; i++) {
-                if (this.saves[i] && this.saves[i].date) {
-                    const time = new Date(this.saves[i].date).getTime();
-                    if (time < oldestTime) {
-                        oldestTime = time;
-                        oldestIndex = i;
-                    }
-                }
+        // 铁人模式：始终覆盖本局自己的那一份存档；第一次存档只占用空槽，不覆盖别的存档
+        if (this.gameState.meta.ironman) {
+            let runSlot = this.findRunSlot(this.gameState.meta.startTime);
+            if (runSlot === -1) {
+                runSlot = this.findEmptySlot();
+            }
+            return runSlot !== -1 && this.createSave(runSlot, '铁人存档');
+        }
+
+        const slotIndex = this.findOverwritableSlot();
+        return slotIndex !== -1 && this.createSave(slotIndex, '自动存档');
+    }
+
+    /**
+     * 普通存档可以写入的槽：优先空槽，否则覆盖最早的存档
+     * 铁人模式的存档是那一局唯一的进度，不会被覆盖
+     * @returns {number} 存档槽索引，所有槽都是铁人存档时返回-1
+     */
+    findOverwritableSlot() {
+        const emptySlot = this.findEmptySlot();
+        if (emptySlot !== -1) return emptySlot;
+
+        let oldestIndex = -1;
+        let oldestTime = Infinity;
+        for (let i = 0; i < this.saves.length; i++) {
+            if (!this.saves[i] || this.isIronmanSave(i)) continue;
+            const time = new Date(this.saves[i].date).getTime();
+            if (oldestIndex === -1 || time < oldestTime) {
+                oldestTime = time;
+                oldestIndex = i;
             }
-            slotIndex = oldestIndex;
         }
+        return oldestIndex;
+    }
+
+    /**
+     * 查找属于某一局的最新存档（用开局时间识别同一局，多份时取最后写入的）
+     * @param {number} startTime - GameState.meta.startTime
+     * @returns {number} 存档槽索引，没有返回-1
+     */
+    findRunSlot(startTime) {
+        if (!startTime) return -1;
+        let latestIndex = -1;
+        this.saves.forEach((save, index) => {
+            if (save?.gameState?.meta?.startTime !== startTime) return;
+            if (latestIndex === -1 || new Date(save.date) > new Date(this.saves[latestIndex].date)) {
+                latestIndex = index;
+            }
+        });
+        return latestIndex;
+    }
+
+    /**
+     * 是否为铁人模式的存档（不能导出，也不能从文件导入）
+     * @param {number} slotIndex - 存档槽索引
+     * @returns {boolean}
+     */
+    isIronmanSave(slotIndex) {
+        return !!this.getSaveInfo(slotIndex)?.gameState?.meta?.ironman;
+    }
 
-        return this.createSave(slotIndex, '自动存档');
+    /**
+     * 是否为铁人模式的过期存档：同一局只能读取最新的那一份，防止读旧档回退进度
+     * @param {number} slotIndex - 存档槽索引
+     * @returns {boolean}
+     */
+    isStaleIronmanSave(slotIndex) {
+        if (!this.isIronmanSave(slotIndex)) return false;
+        return this.findRunSlot(this.saves[slotIndex].gameState.meta.startTime) !== slotIndex;
     }
 
     /**
@@ -1111,26 +2031,161 @@ class SaveManager {
 
     /**
      * 导出存档（用于分享或备份）
-     * @returns {string}
+     * 文件带格式标识、版本号和校验和：{ format, version, exportedAt, checksum, save }
+     * @param {number} slotIndex - 存档槽索引
+     * @returns {string|null} 空槽或铁人模式的存档返回 null
      */
-    exportSave() {
-        return JSON.stringify(this.gameState.serialize());
+    exportSave(slotIndex) {
+        const save = this.getSaveInfo(slotIndex);
+        if (!save || !save.gameState || this.isIronmanSave(slotIndex)) return null;
+
+        return JSON.stringify({
+            format: SAVE_FILE_FORMAT.format,
+            version: SAVE_FILE_FORMAT.version,
+            exportedAt: new Date().toISOString(),
+            checksum: SaveManager.checksum(JSON.stringify(save)),
+            save
+        }, null, 2);
     }
 
     /**
-     * 导入存档
-     * @param {string} data - 存档数据
-     * @returns {boolean}
+     * 导入存档文件到指定存档槽（不会直接改动正在进行的游戏）
+     * @param {string} data - 存档文件内容
+     * @param {number} slotIndex - 存档槽索引
+     * @returns {{success: boolean, message: string}}
      */
-    importSave(data) {
+    importSave(data, slotIndex) {
+        if (slotIndex < 0 || slotIndex >= this.maxSlots) {
+            return { success: false, message: '存档槽不存在' };
+        }
         try {
-            const parsed = JSON.parse(data);
-            this.gameState.deserialize(parsed);
-            return true;
+            this.saves[slotIndex] = this.readSaveFile(data);
         } catch (e) {
             console.error('导入存档失败:', e);
-            return false;
+            return { success: false, message: e.message };
+        }
+        return this.saveToStorage()
+            ? { success: true, message: `存档已导入到第 ${slotIndex + 1} 槽` }
+            : { success: false, message: '写入本地存储失败' };
+    }
+
+    /**
+     * 解析并校验存档文件，任何一步不通过都会抛出带说明的错误
+     * @param {string} data - 存档文件内容
+     * @returns {Object} 存档槽数据 { name, date, dateDisplay, gameState }
+     */
+    readSaveFile(data) {
+        let file;
+        try {
+            file = JSON.parse(data);
+        } catch (e) {
+            throw new Error('文件不是有效的 JSON');
+        }
+
+        if (!file || typeof file !== 'object' || file.format !== SAVE_FILE_FORMAT.format) {
+            throw new Error('这不是春节模拟器导出的存档文件');
+        }
+        if (file.version !== SAVE_FILE_FORMAT.version) {
+            throw new Error(file.version < SAVE_FILE_FORMAT.version
+                ? `存档文件版本过旧（v${file.version}），当前只支持 v${SAVE_FILE_FORMAT.version}`
+                : `存档文件来自更新版本的游戏（v${file.version}），请先更新游戏`);
+        }
+        if (!file.save || SaveManager.checksum(JSON.stringify(file.save)) !== file.checksum) {
+            throw new Error('存档文件校验失败，文件可能已损坏或被修改');
+        }
+
+        // 文件里的存档可能是旧结构，先升级再检查
+        const gameState = GameState.migrate(file.save.gameState || {});
+        if (gameState.meta?.ironman) {
+            throw new Error('铁人模式的存档不能导入');
+        }
+        const problems = SaveManager.validateGameState(gameState);
+        if (problems.length > 0) {
+            throw new Error(`存档内容不完整：${problems.join('；')}`);
+        }
+
+        // 文件内容不可信：角色换成本地数据，日期重新生成，不直接沿用文件里的文字
+        const character = this.characters.find(c => c.id === gameState.character.id);
+        if (!character) {
+            throw new Error(`存档里的角色 "${gameState.character.id}" 不存在`);
+        }
+        const savedAt = new Date(file.save.date);
+        const date = Number.isNaN(savedAt.getTime()) ? new Date() : savedAt;
+
+        return {
+            name: String(file.save.name || '导入的存档'),
+            date: date.toISOString(),
+            dateDisplay: date.toLocaleString('zh-CN'),
+            gameState: { ...gameState, character }
+        };
+    }
+
+    /**
+     * 检查 GameState.serialize() 结果的结构
+     * @param {Object} state - 序列化的游戏状态
+     * @returns {Array<string>} 问题列表，为空表示通过
+     */
+    static validateGameState(state) {
+        if (!state || typeof state !== 'object') return ['缺少游戏状态'];
+
+        const problems = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(state.character) || typeof state.character.id !== 'string') {
+            problems.push('缺少角色信息');
+        }
+
+        const progress = state.progress;
+        if (!isObject(progress)
+            || !Number.isInteger(progress.currentDay)
+            || progress.currentDay < 1 || progress.currentDay > GAME_CONFIG.TOTAL_DAYS + 1
+            || !Number.isInteger(progress.currentPeriod)
+            || progress.currentPeriod < 0 || progress.currentPeriod >= GAME_CONFIG.PERIODS_PER_DAY) {
+            problems.push('游戏进度无效');
+        }
+
+        if (!isObject(state.attributes)) {
+            problems.push('缺少属性');
+        } else {
+            for (const attr of Object.keys(ATTRIBUTE_BOUNDS)) {
+                if (state.attributes[attr] !== undefined && typeof state.attributes[attr] !== 'number') {
+                    problems.push(`属性 ${attr} 不是数字`);
+                }
+            }
+        }
+
+        for (const key of ['eventHistory', 'pendingEvents', 'triggeredOnceEvents', 'achievementsUnlocked']) {
+            if (state[key] !== undefined && !Array.isArray(state[key])) {
+                problems.push(`${key} 应为数组`);
+            }
+        }
+        for (const key of ['inventory', 'affinity', 'flags', 'statistics']) {
+            if (state[key] !== undefined && !isObject(state[key])) {
+                problems.push(`${key} 应为对象`);
+            }
+        }
+        if (state.random !== undefined && !isObject(state.random)) {
+            problems.push('随机数状态无效');
+        }
+        if (state.currentEvent && (!isObject(state.currentEvent) || !Array.isArray(state.currentEvent.options))) {
+            problems.push('当前事件无效');
+        }
+
+        return problems;
+    }
+
+    /**
+     * 存档内容的校验和（FNV-1a，32 位十六进制）
+     * 只用于发现损坏或手动改动，不是加密签名。
+     * @param {string} text - 文本
+     * @returns {string}
+     */
+    static checksum(text) {
+        let hash = 2166136261;
+        for (const ch of String(text)) {
+            hash = Math.imul(hash ^ ch.codePointAt(0), 16777619);
         }
+        return (hash >>> 0).toString(16).padStart(8, '0');
     }
 
     /**
@@ -1187,6 +2242,7 @@ class EndingManager {
         this.attributeManager = attributeManager;
         this.endings = [];
         this.endingMap = new Map();
+        this.npcMap = new Map();
     }
 
     /**
@@ -1207,25 +2263,43 @@ class EndingManager {
      * @returns {Object}
      */
     determineEnding() {
-        // 先按当前角色过滤，再按优先级排序
+        // 检查每个结局的解锁条件，命中的条件组一并带回，供结局界面解释
+        for (const ending of this.getCandidateEndings()) {
+            const groupIndex = this.findMatchedGroup(ending);
+            if (groupIndex !== -1) {
+                return this.generateEndingResult(ending, groupIndex);
+            }
+        }
+
+        // 默认结局
+        return this.generateEndingResult(this.getDefaultEnding(), null);
+    }
+
+    /**
+     * 当前角色可达成的结局，按优先级从高到低排序
+     * @returns {Array}
+     */
+    getCandidateEndings() {
         const currentCharacterId = this.gameState.character?.id;
         const availableEndings = currentCharacterId
             ? this.endings.filter(ending => !ending.characterId || ending.characterId === currentCharacterId)
             : this.endings;
 
-        const sortedEndings = [...availableEndings].sort(
+        return [...availableEndings].sort(
             (a, b) => (b.priority || 0) - (a.priority || 0)
         );
+    }
 
-        // 检查每个结局的解锁条件
-        for (const ending of sortedEndings) {
-            if (this.checkEndingConditions(ending)) {
-                return this.generateEndingResult(ending);
-            }
+    /**
+     * 找出结局第一个满足的条件组
+     * @param {Object} ending - 结局对象
+     * @returns {number|null} 条件组下标；没有条件时为 null，全部不满足时为 -1
+     */
+    findMatchedGroup(ending) {
+        if (!ending.unlockConditions || ending.unlockConditions.length === 0) {
+            return null;
         }
-
-        // 默认结局
-        return this.generateEndingResult(this.getDefaultEnding());
+        return ending.unlockConditions.findIndex(group => this.checkConditionGroup(group));
     }
 
     /**
@@ -1234,18 +2308,8 @@ class EndingManager {
      * @returns {boolean}
      */
     checkEndingConditions(ending) {
-        if (!ending.unlockConditions || ending.unlockConditions.length === 0) {
-            return true;
-        }
-
         // 满足任一条件组即可
-        for (const conditionGroup of ending.unlockConditions) {
-            if (this.checkConditionGroup(conditionGroup)) {
-                return true;
-            }
-        }
-
-        return false;
+        return this.findMatchedGroup(ending) !== -1;
     }
 
     /**
@@ -1300,7 +2364,13 @@ class EndingManager {
                 return triggered;
 
             case 'flag_set':
-                return this.gameState.getFlag(condition.flagName) === condition.flagValue;
+                return this.gameState.checkFlag(condition);
+
+            case 'statistic':
+                return this.gameState.checkStatistic(condition);
+
+            case 'affinity':
+                return this.gameState.checkAffinity(condition);
 
             case 'combination':
                 if (!condition.conditions) return true;
@@ -1321,7 +2391,7 @@ class EndingManager {
      * @param {Object} ending - 结局对象
      * @returns {Object}
      */
-    generateEndingResult(ending) {
+    generateEndingResult(ending, groupIndex = null) {
         const score = this.calculateScore(ending);
 
         return {
@@ -1332,10 +2402,187 @@ class EndingManager {
             icon: ending.icon || this.getCategoryIcon(ending.category),
             score,
             story: this.generateStory(),
-            finalStats: this.attributeManager.getAll()
+            finalStats: this.attributeManager.getAll(),
+            explanation: this.explainEnding(ending, groupIndex),
+            nearMisses: this.getNearMisses(ending.id)
         };
     }
 
+    // ============================================
+    // 结局解释与差距
+    // ============================================
+
+    /**
+     * 加载 NPC 名册（描述好感度条件时用）
+     * @param {Array} npcs - NPC 数组
+     */
+    loadNpcs(npcs) {
+        this.npcMap = new Map((npcs || []).map(npc => [npc.id, npc]));
+    }
+
+    /**
+     * 说明结局为什么达成：命中了第几个条件组、组里有哪些条件
+     * @param {Object} ending - 结局对象
+     * @param {number|null} groupIndex - 命中的条件组下标；null 表示无条件 / 默认结局
+     * @returns {{groupIndex: number|null, conditions: Array<string>, text: string}}
+     */
+    explainEnding(ending, groupIndex) {
+        const group = groupIndex !== null ? ending.unlockConditions?.[groupIndex] : null;
+        if (!group) {
+            return { groupIndex: null, conditions: [], text: '没有满足任何特殊结局的条件' };
+        }
+
+        const conditions = (group.conditions || []).map(c => this.describeEndingCondition(c));
+        const prefix = ending.unlockConditions.length > 1 ? `满足第 ${groupIndex + 1} 组条件` : '满足条件';
+        return {
+            groupIndex,
+            conditions,
+            text: conditions.length > 0 ? `${prefix}：${conditions.join('、')}` : prefix
+        };
+    }
+
+    /**
+     * 列出本局差一点就能达成的结局，按差距从小到大排序
+     * 只统计能量化差距的条件（属性 / 统计 / 好感度）；失败类结局不算“错过”。
+     * 隐藏结局只给出 ??? 标题，不透露条件。
+     * 只看判定顺序排在本局结局之前的结局（优先级更高，或同优先级但先判定），
+     * 排在后面的即使满足条件也会被本局结局盖过，提示“差 N 点即可解锁”是错的。
+     * @param {string} [achievedId] - 本局达成的结局 ID（排除在外）
+     * @param {number} [limit=3] - 最多返回几个
+     * @returns {Array<{id: string, title: string, hidden: boolean, distance: number, gaps: Array, text: string}>}
+     */
+    getNearMisses(achievedId, limit = 3) {
+        const misses = [];
+        for (const ending of this.getCandidateEndings()) {
+            if (ending.id === achievedId) break;
+            if (ending.category === 'bad') continue;
+            if (this.checkEndingConditions(ending)) continue;
+
+            const distance = this.getEndingDistance(ending);
+            if (!distance) continue;
+
+            const hidden = ending.category === 'secret';
+            const title = hidden ? '???' : ending.title;
+            const gaps = hidden ? [] : distance.gaps;
+            misses.push({
+                id: ending.id,
+                title,
+                hidden,
+                distance: distance.distance,
+                gaps,
+                text: hidden
+                    ? `还有一个隐藏结局「${title}」离你不远`
+                    : `${gaps.map(g => g.text).join('、')}即可解锁「${title}」`
+            });
+        }
+
+        return misses.sort((a, b) => a.distance - b.distance).slice(0, limit);
+    }
+
+    /**
+     * 计算当前状态离某个结局有多远：取最接近的条件组
+     * 各条件差距按取值范围归一化后相加，不同属性之间才可比较。
+     * @param {Object} ending - 结局对象
+     * @returns {{groupIndex: number, distance: number, gaps: Array}|null} 所有条件组都无法量化时为 null
+     */
+    getEndingDistance(ending) {
+        let best = null;
+        (ending.unlockConditions || []).forEach((group, groupIndex) => {
+            let distance = 0;
+            const gaps = [];
+            for (const condition of group.conditions || []) {
+                const gap = this.measureCondition(condition);
+                if (gap === null) return;
+                if (gap.amount === 0) continue;
+                distance += gap.amount / gap.range;
+                gaps.push(gap);
+            }
+            if (!best || distance < best.distance) {
+                best = { groupIndex, distance, gaps };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 计算单个条件还差多少
+     * @param {Object} condition - 条件对象
+     * @returns {{condition: Object, amount: number, range: number, text: string}|null}
+     *          已满足时 amount 为 0；未满足且无法量化（剧情 / 标记等）时返回 null
+     */
+    measureCondition(condition) {
+        if (this.checkEndingCondition(condition)) {
+            return { condition, amount: 0, range: 1, text: '' };
+        }
+
+        let actual;
+        let range;
+        let name;
+        let unit = '点';
+        switch (condition.type) {
+            case 'attribute': {
+                const bounds = ATTRIBUTE_BOUNDS[condition.attribute] || { min: 0, max: 100 };
+                actual = this.attributeManager.get(condition.attribute);
+                range = bounds.max - bounds.min;
+                name = ATTRIBUTE_NAMES[condition.attribute] || condition.attribute;
+                if (condition.attribute === 'deposit') unit = '元';
+                if (condition.attribute === 'weight') unit = '公斤';
+                break;
+            }
+            case 'statistic':
+                actual = this.gameState.statistics[condition.statistic] || 0;
+                range = Math.max(Math.abs(condition.value), 1);
+                name = STATISTIC_NAMES[condition.statistic] || condition.statistic;
+                unit = '';
+                break;
+            case 'affinity':
+                actual = this.gameState.getAffinity(condition.npc);
+                range = AFFINITY_BOUNDS.max - AFFINITY_BOUNDS.min;
+                name = `${this.npcMap?.get(condition.npc)?.name || condition.npc}好感`;
+                break;
+            default:
+                return null;
+        }
+
+        // 严格比较与 != 至少还要再变 1
+        const diff = Math.abs(condition.value - actual);
+        const amount = ['>', '<', '!='].includes(condition.operator) ? diff + 1 : diff;
+        const rounded = Math.round(amount * 10) / 10;
+        const verb = actual < condition.value || condition.operator === '!=' ? '差' : '超出';
+        return {
+            condition,
+            amount,
+            range,
+            text: `${name}${verb} ${rounded.toLocaleString('zh-CN')}${unit ? ` ${unit}` : ''}`
+        };
+    }
+
+    /**
+     * 把结局条件写成玩家能看懂的短语，例如“面子≥60”
+     * @param {Object} condition - 条件对象
+     * @returns {string}
+     */
+    describeEndingCondition(condition) {
+        const symbol = OPERATOR_SYMBOLS[condition.operator || '>='] || condition.operator;
+        const value = typeof condition.value === 'number' ? condition.value.toLocaleString('zh-CN') : condition.value;
+        switch (condition.type) {
+            case 'attribute':
+                return `${ATTRIBUTE_NAMES[condition.attribute] || condition.attribute}${symbol}${value}`;
+            case 'statistic':
+                return `${STATISTIC_NAMES[condition.statistic] || condition.statistic}${symbol}${value}`;
+            case 'affinity':
+                return `${this.npcMap?.get(condition.npc)?.name || condition.npc}好感${symbol}${value}`;
+            case 'event_triggered':
+                return '经历过特定事件';
+            case 'flag_set':
+                return '特定剧情进展';
+            case 'combination':
+                return (condition.conditions || []).map(c => this.describeEndingCondition(c)).join('、');
+            default:
+                return '特殊条件';
+        }
+    }
+
     /**
      * 计算结局分数
      * @param {Object} ending - 结局对象
@@ -1469,7 +2716,8 @@ class EndingManager {
             moodChange: attrs.mood - (initialAttrs.mood || 50),
             healthChange: attrs.health - (initialAttrs.health || 50),
             totalEvents: this.gameState.statistics.totalEvents,
-            totalChoices: this.gameState.statistics.totalChoices
+            totalChoices: this.gameState.statistics.totalChoices,
+            statistics: { ...this.gameState.statistics }
         };
     }
 }
@@ -1478,6 +2726,9 @@ class EndingManager {
 // AchievementsManager - 成就管理器
 // ============================================
 
+// 成就条件类型 → 判定函数（通过 AchievementsManager.registerConditionType 注册）
+const ACHIEVEMENT_CONDITION_HANDLERS = new Map();
+
 class AchievementsManager {
     constructor(gameState, attributeManager) {
         this.gameState = gameState;
@@ -1485,6 +2736,7 @@ class AchievementsManager {
         this.achievements = [];
         this.achievementMap = new Map();
         this.onUnlock = null;
+        this.crossRunProvider = null;
     }
 
     loadAchievements(achievements) {
@@ -1521,6 +2773,14 @@ class AchievementsManager {
         this.onUnlock = handler;
     }
 
+    /**
+     * 设置跨局数据来源（例如“哪些角色已经通关过”），由 Game 从 localStorage 提供
+     * @param {Function} provider - () => { completedCharacterIds, characterIds }
+     */
+    setCrossRunProvider(provider) {
+        this.crossRunProvider = provider;
+    }
+
     isUnlocked(id) {
         return this.gameState.achievementsUnlocked.some(x => x.id === id);
     }
@@ -1536,30 +2796,95 @@ class AchievementsManager {
         return true;
     }
 
-    checkCondition(condition, attributeValue) {
-        if (!condition || condition.type !== 'attribute') return false;
-        const { operator, value } = condition;
+    /**
+     * 注册一种成就条件类型
+     * handler(condition, context) 返回是否满足；context 见 buildAttributeContext。
+     * 新增条件类型只需在这里注册，不用改 checkByAttribute。
+     * @param {string} type - 条件类型（对应 achievements.json 中 condition.type）
+     * @param {Function} handler - 判定函数
+     */
+    static registerConditionType(type, handler) {
+        ACHIEVEMENT_CONDITION_HANDLERS.set(type, handler);
+    }
+
+    /**
+     * 引擎能判定的成就条件类型（内容校验器会用它检查 achievements.json）
+     * @returns {Array<string>}
+     */
+    static getConditionTypes() {
+        return [...ACHIEVEMENT_CONDITION_HANDLERS.keys()];
+    }
+
+    /**
+     * 按运算符比较两个数值
+     * @param {number} actual - 实际值
+     * @param {string} operator - 运算符
+     * @param {number} expected - 目标值
+     * @returns {boolean}
+     */
+    static compare(actual, operator, expected) {
+        if (typeof actual !== 'number' || Number.isNaN(actual)) return false;
         switch (operator) {
-            case '>': return attributeValue > value;
-            case '<': return attributeValue < value;
-            case '>=': return attributeValue >= value;
-            case '<=': return attributeValue <= value;
-            case '==': return attributeValue === value;
-            case '!=': return attributeValue !== value;
+            case '>': return actual > expected;
+            case '<': return actual < expected;
+            case '>=': return actual >= expected;
+            case '<=': return actual <= expected;
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
             default: return false;
         }
     }
 
-    checkByAttribute(attribute, value) {
+    /**
+     * 构造属性类条件的判定上下文
+     * @param {string} attribute - 属性名
+     * @param {number} value - 当前值
+     * @param {number} [previousValue] - 本次变化前的值（不传视为与当前值相同）
+     * @returns {Object} { attribute, value, previousValue, initialValue, gameState }
+     */
+    buildAttributeContext(attribute, value, previousValue) {
+        const initialAttrs = this.gameState.character?.initial_attributes || {};
+        return {
+            attribute,
+            value,
+            previousValue: previousValue !== undefined ? previousValue : value,
+            initialValue: initialAttrs[attribute] !== undefined
+                ? initialAttrs[attribute]
+                : ATTRIBUTE_BOUNDS[attribute]?.default,
+            gameState: this.gameState
+        };
+    }
+
+    /**
+     * 判定单个成就条件
+     * @param {Object} condition - 成就条件
+     * @param {Object} context - 判定上下文
+     * @returns {boolean}
+     */
+    checkCondition(condition, context) {
+        if (!condition) return false;
+        const handler = ACHIEVEMENT_CONDITION_HANDLERS.get(condition.type);
+        return handler ? !!handler(condition, context) : false;
+    }
+
+    /**
+     * 某个属性变化后检查相关成就
+     * @param {string} attribute - 属性名
+     * @param {number} value - 变化后的值
+     * @param {number} [previousValue] - 变化前的值
+     * @returns {Array} 本次新达成的成就
+     */
+    checkByAttribute(attribute, value, previousValue) {
         const newlyUnlocked = [];
+        const context = this.buildAttributeContext(attribute, value, previousValue);
         for (const a of this.achievements) {
             const cond = a.condition;
-            if (!cond || cond.type !== 'attribute') continue;
+            if (!cond || !ACHIEVEMENT_CONDITION_HANDLERS.has(cond.type)) continue;
             if (cond.attribute !== attribute) continue;
             const achCharId = a.characterId || a.character_id || null;
             if (achCharId && this.gameState.character?.id !== achCharId) continue;
             if (this.isUnlocked(a.id)) continue;
-            if (this.checkCondition(cond, value)) {
+            if (this.checkCondition(cond, context)) {
                 if (this.unlock(a.id)) {
                     newlyUnlocked.push(a);
                 }
@@ -1568,6 +2893,36 @@ class AchievementsManager {
         return newlyUnlocked;
     }
 
+    /**
+     * 检查与属性无关的成就（选项、结局、事件类别、统计、跨局）
+     * 在选择后、进入新的一天、结局时调用。
+     * @param {string} trigger - 触发时机：'choice' | 'day' | 'ending'
+     * @param {Object} [extra] - 额外上下文，例如 { ending }
+     * @returns {Array} 本次新达成的成就
+     */
+    checkAll(trigger, extra = {}) {
+        const newlyUnlocked = [];
+        const context = {
+            trigger,
+            gameState: this.gameState,
+            crossRun: this.crossRunProvider ? this.crossRunProvider() : null,
+            ...extra
+        };
+        for (const a of this.achievements) {
+            const cond = a.condition;
+            // 属性类条件由 checkByAttribute 负责
+            if (!cond || cond.attribute !== undefined) continue;
+            if (!ACHIEVEMENT_CONDITION_HANDLERS.has(cond.type)) continue;
+            const achCharId = a.characterId || a.character_id || null;
+            if (achCharId && this.gameState.character?.id !== achCharId) continue;
+            if (this.isUnlocked(a.id)) continue;
+            if (this.checkCondition(cond, context) && this.unlock(a.id)) {
+                newlyUnlocked.push(a);
+            }
+        }
+        return newlyUnlocked;
+    }
+
     silentScanAllAttributes() {
         const attrs = this.attributeManager.getAll();
         for (const [attr, val] of Object.entries(attrs)) {
@@ -1576,150 +2931,1327 @@ class AchievementsManager {
     }
 }
 
+/**
+ * 内置成就条件类型：
+ * - attribute：当前值与目标比较，例如 面子 < 0
+ * - attribute_initial_current：同时比较“基准值”和当前值，例如 存款由正（初始）到负（当前）
+ * - attribute_delta_percent：相对基准值的变化百分比，例如 体重增长 ≥ 5%
+ * 后两种的基准值默认是角色初始属性；条件里写 "baseline": "previous" 则改为本次变化前的值。
+ */
+AchievementsManager.registerConditionType('attribute', (condition, context) =>
+    AchievementsManager.compare(context.value, condition.operator, condition.value)
+);
+
+AchievementsManager.registerConditionType('attribute_initial_current', (condition, context) => {
+    const baseline = condition.baseline === 'previous' ? context.previousValue : context.initialValue;
+    const { initial, current } = condition;
+    if (!initial || !current) return false;
+    return AchievementsManager.compare(baseline, initial.operator, initial.value) &&
+        AchievementsManager.compare(context.value, current.operator, current.value);
+});
 
-
-// ============================================
+AchievementsManager.registerConditionType('attribute_delta_percent', (condition, context) => {
+    const baseline = condition.baseline === 'previous' ? context.previousValue : context.initialValue;
+    if (typeof baseline !== 'number' || baseline === 0) return false;
+    const percent = ((context.value - baseline) / Math.abs(baseline)) * 100;
+    return AchievementsManager.compare(percent, condition.operator, condition.value);
+});
 
 /**
- * Game 是“总指挥”，负责把数据、规则、UI串起来。
- * - init：读取 JSON 数据并渲染页面
- * - startGame：开始一局
- * - generateEvent：展示下一事件
- * - makeChoice：玩家选择 → 属性变化 → 时间推进
- * - showEnding：结局展示
+ * 剧情类成就条件（与属性无关，由 checkAll 在选择后/新的一天/结局时判定）：
+ * - choice：选过某事件的某个选项 { eventId, optionId }（也可用 choiceIndex）
+ * - ending：达成某个结局 { endingId }，或某类结局 { category }
+ * - event_category_count：某类事件经历次数 { category, operator, value }
+ * - statistic：本局统计数据 { statistic: 'moneySpent', operator, value }
+ * - all_characters_finished：所有角色都至少通关过一次（跨局）
  */
-class Game {
-    constructor() {
-        // 初始化核心组件
-        this.state = new GameState();
-        this.attributes = new AttributeManager(this.state);
-        this.events = new EventManager(this.state, this.attributes);
-        this.saves = new SaveManager(this.state);
-        this.endings = new EndingManager(this.state, this.attributes);
-        this.achievements = new AchievementsManager(this.state, this.attributes);
-        this.achievementHistoryKey = 'springFestivalAchievementHistory_v1';
+AchievementsManager.registerConditionType('choice', (condition, context) =>
+    context.gameState.eventHistory.some(record =>
+        record.eventId === condition.eventId &&
+        (condition.optionId !== undefined
+            ? record.choiceId === condition.optionId
+            : record.choiceIndex === condition.choiceIndex)
+    )
+);
+
+AchievementsManager.registerConditionType('ending', (condition, context) => {
+    const ending = context.ending;
+    if (!ending) return false;
+    if (condition.endingId !== undefined) return ending.id === condition.endingId;
+    if (condition.category !== undefined) return ending.category === condition.category;
+    return false;
+});
 
-        // 游戏数据
-        this.characters = [];
-        this.eventData = [];
-        this.endingData = [];
+AchievementsManager.registerConditionType('event_category_count', (condition, context) => {
+    const count = context.gameState.eventHistory.filter(record => record.category === condition.category && !record.nodeId).length;
+    return AchievementsManager.compare(count, condition.operator || '>=', condition.value);
+});
 
-        // UI状态
-        this.uiState = {
-            selectedCharacterId: null,
-            animationEnabled: true,
-            soundEnabled: true,
-            musicVolume: 50,
-            soundVolume: 70
-        };
+AchievementsManager.registerConditionType('statistic', (condition, context) => {
+    const value = context.gameState.statistics[condition.statistic];
+    return AchievementsManager.compare(value, condition.operator || '>=', condition.value);
+});
 
-        this.pendingFeedbackAction = null;
-        this.notificationHideTimer = null;
+AchievementsManager.registerConditionType('all_characters_finished', (condition, context) => {
+    const crossRun = context.crossRun;
+    if (!crossRun || !crossRun.characterIds || crossRun.characterIds.length === 0) return false;
+    const completed = new Set(crossRun.completedCharacterIds || []);
+    return crossRun.characterIds.every(id => completed.has(id));
+});
 
-        // 绑定方法
-        this.init = this.init.bind(this);
-        this.startGame = this.startGame.bind(this);
-        this.makeChoice = this.makeChoice.bind(this);
-        this.saveGame = this.saveGame.bind(this);
-        this.loadGame = this.loadGame.bind(this);
-        this.toAchievements = this.toAchievements.bind(this);
-        this.renderAchievements = this.renderAchievements.bind(this);
-        this.showAchievementToast = this.showAchievementToast.bind(this);
+// ============================================
+// ContentValidator - 内容校验器
+// ============================================
+
+/**
+ * ContentValidator 检查 data/ 下的 JSON 是否写对了。
+ * 引擎对写错的字段大多是“静默忽略”，这里把它们全部找出来，并标明文件和 id。
+ * - 命令行：node tools/validate.js
+ * - 游戏内：地址栏加 ?dev=1，加载数据后会弹出校验结果
+ *
+ * 每条问题的结构：{ severity: 'error' | 'warning', file, id, message }
+ */
+class ContentValidator {
+    constructor() {
+        this.attributes = Object.keys(ATTRIBUTE_BOUNDS);
+        this.timeSlots = Object.keys(TIME_SLOT_PERIODS);
+        this.achievementConditionTypes = AchievementsManager.getConditionTypes();
+        this.issues = [];
     }
 
-    getAchievementHistory() {
-        try {
-            const data = localStorage.getItem(this.achievementHistoryKey);
-            return data ? JSON.parse(data) : {};
-        } catch (e) {
-            console.error('加载成就记录失败:', e);
-            return {};
-        }
+    /**
+     * 校验全部数据
+     * @param {Object} raw - { characters, commonEvents, characterEvents, endings, achievements, items, npcs }，各项为对应 JSON 文件的原始内容
+     * @returns {Array} 问题列表
+     */
+    validate(raw) {
+        this.issues = [];
+        const characterIds = new Set((raw.characters?.characters || []).map(c => c.id));
+        const eventIds = new Map();
+        const optionIds = new Map();
+        // 标记的写入与读取记录，用于发现“读了但从没写过”的拼写错误
+        const flags = { written: new Set(), read: [] };
+        const itemIds = this.validateItems(raw.items?.items || []);
+        const npcIds = this.validateNpcs(raw.npcs?.npcs || []);
+
+        this.validateCharacters(raw.characters?.characters || [], itemIds);
+        this.validateEvents('common_events.json', raw.commonEvents?.events || [], { eventIds, optionIds, flags, itemIds, npcIds });
+        this.validateEvents('character_events.json', raw.characterEvents?.events || [], { eventIds, optionIds, characterIds, flags, itemIds, npcIds });
+        this.validateEventLinks('common_events.json', raw.commonEvents?.events || [], { eventIds, optionIds, itemIds, flags, npcIds });
+        this.validateEventLinks('character_events.json', raw.characterEvents?.events || [], { eventIds, optionIds, itemIds, flags, npcIds });
+        const endingIds = this.validateEndings(raw.endings?.endings || [], characterIds, flags, npcIds);
+        this.validateAchievements(raw.achievements?.achievements || [], { characterIds, eventIds, optionIds, endingIds });
+        this.validateFlagUsage(flags);
+
+        return this.issues;
     }
 
-    saveAchievementHistory(data) {
-        try {
-            localStorage.setItem(this.achievementHistoryKey, JSON.stringify(data));
-        } catch (e) {
-            console.error('保存成就记录失败:', e);
-        }
+    /**
+     * 记录一条问题
+     * @param {string} severity - 'error' | 'warning'
+     * @param {string} file - 文件名
+     * @param {string} id - 出问题的事件/选项/结局/成就 id
+     * @param {string} message - 说明
+     */
+    report(severity, file, id, message) {
+        this.issues.push({ severity, file, id: id || '(无id)', message });
     }
 
-    recordAchievementUnlock(achievement, timestamp) {
-        const characterId = this.state.character?.id;
-        if (!characterId || !achievement?.id) return;
-        const history = this.getAchievementHistory();
-        const list = Array.isArray(history[characterId]) ? history[characterId] : [];
-        if (!list.some(x => x && x.id === achievement.id)) {
-            list.push({ id: achievement.id, timestamp: timestamp || Date.now() });
-            history[characterId] = list;
-            this.saveAchievementHistory(history);
+    /**
+     * 校验物品目录
+     * @param {Array} items - 物品数组
+     * @returns {Set} 物品 id 集合
+     */
+    validateItems(items) {
+        const file = 'items.json';
+        const seen = new Set();
+        for (const item of items) {
+            if (!item.id) {
+                this.report('error', file, item.name, '缺少 id');
+                continue;
+            }
+            if (seen.has(item.id)) {
+                this.report('error', file, item.id, '物品 id 重复');
+            }
+            seen.add(item.id);
+            if (!item.name) {
+                this.report('warning', file, item.id, '缺少 name，背包中会直接显示 id');
+            }
         }
+        return seen;
     }
 
-    // 聚合：指定角色历史已达成成就ID集合（来自所有存档）
-    getRoleUnlockedAchievementIds(characterId) {
-        const saves = this.saves.getAllSaves();
-        const ids = new Set();
-        for (const s of saves) {
-            if (!s || !s.gameState) continue;
-            const gid = s.gameState?.character?.id;
-            if (gid !== characterId) continue;
-            const unlocked = s.gameState?.achievementsUnlocked || [];
-            for (const u of unlocked) {
-                if (u && u.id) ids.add(u.id);
+    /**
+     * 校验 NPC 名册
+     * @param {Array} npcs - NPC 数组
+     * @returns {Set} NPC id 集合
+     */
+    validateNpcs(npcs) {
+        const file = 'npcs.json';
+        const seen = new Set();
+        for (const npc of npcs) {
+            if (!npc.id) {
+                this.report('error', file, npc.name, '缺少 id');
+                continue;
             }
-        }
-        const history = this.getAchievementHistory();
-        const historyList = Array.isArray(history[characterId]) ? history[characterId] : [];
-        for (const u of historyList) {
-            if (u && u.id) ids.add(u.id);
-        }
-        if (this.state.character?.id === characterId) {
-            const currentUnlocked = this.state.achievementsUnlocked || [];
-            for (const u of currentUnlocked) {
-                if (u && u.id) ids.add(u.id);
+            if (seen.has(npc.id)) {
+                this.report('error', file, npc.id, 'NPC id 重复');
+            }
+            seen.add(npc.id);
+            if (!npc.name) {
+                this.report('warning', file, npc.id, '缺少 name，界面上会直接显示 id');
             }
         }
-        return ids;
+        return seen;
     }
 
-    // 渲染：角色选择详情中的“通用成就（该角色已达成）”
-    renderCharacterAchievements(characterId) {
-        const all = this.achievements.getByCharacter(characterId);
-        const unlockedIds = this.getRoleUnlockedAchievementIds(characterId);
-        const unlocked = all.filter(a => unlockedIds.has(a.id));
-
-        if (unlocked.length === 0) {
-            return '';
+    /**
+     * 校验角色
+     * @param {Array} characters - 角色数组
+     * @param {Set} itemIds - 物品 id 集合
+     */
+    validateCharacters(characters, itemIds) {
+        const file = 'characters.json';
+        const seen = new Set();
+        for (const c of characters) {
+            if (seen.has(c.id)) {
+                this.report('error', file, c.id, '角色 id 重复');
+            }
+            seen.add(c.id);
+            for (const key of Object.keys(c.initial_attributes || {})) {
+                if (!this.attributes.includes(key)) {
+                    this.report('error', file, c.id, `initial_attributes 中的未知属性 "${key}"`);
+                }
+            }
+            for (const [itemId, count] of Object.entries(c.initial_inventory || {})) {
+                if (!itemIds.has(itemId)) {
+                    this.report('error', file, c.id, `initial_inventory 中的物品 "${itemId}" 不在 items.json 中`);
+                } else if (!(Number.isInteger(count) && count > 0)) {
+                    this.report('error', file, c.id, `initial_inventory.${itemId} 应为正整数`);
+                }
+            }
+            this.validateEventMix(file, c.id, c.event_mix);
         }
-
-        const cards = unlocked.map(a => `
-            <div class="achievement-card">
-                <div class="achievement-name font-black">${a.name}</div>
-                <div class="achievement-desc text-sm">${a.desc || ''}</div>
-            </div>
-        `).join('');
-
-        return `
-            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
-                ${cards}
-            </div>
-        `;
     }
 
     /**
-     * 初始化游戏
+     * 校验角色的事件混排策略 event_mix
+     * @param {string} file - 文件名
+     * @param {string} id - 角色 id
+     * @param {Object} mix - { mode, common_per_day, common_chance }
      */
-    async init() {
-        console.log('春节模拟器 v' + GAME_CONFIG.VERSION + ' 初始化中...');
+    validateEventMix(file, id, mix) {
+        if (mix === undefined) return;
+        if (!mix || typeof mix !== 'object') {
+            this.report('error', file, id, 'event_mix 应为对象');
+            return;
+        }
+        if (!EVENT_MIX_MODES.includes(mix.mode)) {
+            this.report('error', file, id, `event_mix 中未知的 mode "${mix.mode}"（可用：${EVENT_MIX_MODES.join('/')}）`);
+        }
+        if (mix.common_per_day !== undefined &&
+            !(Number.isInteger(mix.common_per_day) && mix.common_per_day >= 0 && mix.common_per_day <= GAME_CONFIG.PERIODS_PER_DAY)) {
+            this.report('error', file, id, `event_mix.common_per_day 应为 0-${GAME_CONFIG.PERIODS_PER_DAY} 的整数`);
+        }
+        if (mix.common_chance !== undefined && !(typeof mix.common_chance === 'number' && mix.common_chance >= 0 && mix.common_chance <= 1)) {
+            this.report('error', file, id, 'event_mix.common_chance 应为 0-1 之间的数字');
+        }
+    }
 
-        // 加载设置
+    /**
+     * 校验事件（通用事件与角色专属事件共用）
+     * @param {string} file - 文件名
+     * @param {Array} events - 事件数组
+     * @param {Object} context - { eventIds, optionIds, characterIds, flags, itemIds, npcIds }，跨文件的查重表与标记、物品、NPC 记录
+     */
+    validateEvents(file, events, context) {
+        for (const e of events) {
+            const id = e.event_id;
+            if (!id) {
+                this.report('error', file, e.event_name, '缺少 event_id');
+            } else if (context.eventIds.has(id)) {
+                this.report('error', file, id, `event_id 重复（已出现在 ${context.eventIds.get(id)}）`);
+            } else {
+                context.eventIds.set(id, file);
+            }
+
+            if (context.characterIds) {
+                if (!e.character_id) {
+                    this.report('error', file, id, '缺少 character_id');
+                } else if (!context.characterIds.has(e.character_id)) {
+                    this.report('error', file, id, `character_id "${e.character_id}" 不在 characters.json 中`);
+                }
+            }
+
+            if (e.time_slot !== undefined && !this.timeSlots.includes(e.time_slot)) {
+                this.report('error', file, id, `未知的 time_slot "${e.time_slot}"（可用：${this.timeSlots.join('/')}）`);
+            }
+
+            if (e.day !== undefined && !(Number.isInteger(e.day) && e.day >= 1 && e.day <= GAME_CONFIG.TOTAL_DAYS)) {
+                this.report('error', file, id, `day 应为 1-${GAME_CONFIG.TOTAL_DAYS} 的整数，实际为 ${JSON.stringify(e.day)}`);
+            }
+
+            this.validateTriggerWindow(file, id, e.trigger_condition);
+
+            if (e.max_occurrences !== undefined && !(Number.isInteger(e.max_occurrences) && e.max_occurrences > 0)) {
+                this.report('error', file, id, `max_occurrences 应为正整数，实际为 ${JSON.stringify(e.max_occurrences)}`);
+            }
+            if (e.cooldown_periods !== undefined && !(Number.isInteger(e.cooldown_periods) && e.cooldown_periods >= 0)) {
+                this.report('error', file, id, `cooldown_periods 应为非负整数，实际为 ${JSON.stringify(e.cooldown_periods)}`);
+            }
+            this.validateFlagConditions(file, id, e.flag_conditions, context.flags);
+            this.validateStatisticConditions(file, id, e.statistic_conditions);
+            this.validateAffinityConditions(file, id, e.affinity_conditions, context.npcIds);
+            this.validateTags(file, id, e.tags);
+            if (e.npc !== undefined && !context.npcIds.has(e.npc)) {
+                this.report('error', file, id, `npc "${e.npc}" 不在 npcs.json 中`);
+            }
+
+            if (!Array.isArray(e.options) || e.options.length === 0) {
+                this.report('error', file, id, '没有任何选项');
+                continue;
+            }
+            this.validateEventNodes(file, id, e);
+
+            for (const opt of this.getEventOptions(e)) {
+                const optId = opt.option_id;
+                if (!optId) {
+                    this.report('error', file, id, `选项 "${opt.text || ''}" 缺少 option_id`);
+                } else if (context.optionIds.has(optId)) {
+                    this.report('error', file, optId, `option_id 重复（已出现在事件 ${context.optionIds.get(optId)}）`);
+                } else {
+                    context.optionIds.set(optId, id);
+                }
+                this.validateEffects(file, optId || id, opt.effects);
+                this.validateFlagWrites(file, optId || id, opt.flags, context.flags);
+                this.validateFlagConditions(file, optId || id, opt.flag_conditions, context.flags);
+                this.validateItemRefs(file, optId || id, opt, context.itemIds);
+                this.validateAffinityEffects(file, optId || id, opt.affinity, context.npcIds);
+                this.validateTags(file, optId || id, opt.tags);
+            }
+        }
+    }
+
+    /**
+     * 事件的全部选项（包括多段事件各段的选项）
+     * @param {Object} e - 事件
+     * @returns {Array}
+     */
+    getEventOptions(e) {
+        const nodes = Array.isArray(e.nodes) ? e.nodes : [];
+        return [...(e.options || []), ...nodes.flatMap(node => node?.options || [])];
+    }
+
+    /**
+     * 校验多段事件：段落 id、next_node 指向，以及走不到的段落
+     * @param {string} file - 文件名
+     * @param {string} id - 事件 id
+     * @param {Object} e - 事件
+     */
+    validateEventNodes(file, id, e) {
+        if (e.nodes === undefined) {
+            for (const opt of e.options) {
+                if (opt.next_node !== undefined) {
+                    this.report('error', file, opt.option_id || id, `next_node "${opt.next_node}" 无效：事件没有 nodes`);
+                }
+            }
+            return;
+        }
+        if (!Array.isArray(e.nodes)) {
+            this.report('error', file, id, 'nodes 应为数组');
+            return;
+        }
+
+        const nodeIds = new Set();
+        for (const node of e.nodes) {
+            if (!node?.node_id) {
+                this.report('error', file, id, '有段落缺少 node_id');
+                continue;
+            }
+            if (nodeIds.has(node.node_id)) {
+                this.report('error', file, id, `node_id "${node.node_id}" 重复`);
+            }
+            nodeIds.add(node.node_id);
+            if (!Array.isArray(node.options) || node.options.length === 0) {
+                this.report('error', file, id, `段落 "${node.node_id}" 没有任何选项`);
+            }
+        }
+
+        const reached = new Set();
+        for (const opt of this.getEventOptions(e)) {
+            if (opt.next_node === undefined) continue;
+            if (!nodeIds.has(opt.next_node)) {
+                this.report('error', file, opt.option_id || id, `next_node 指向不存在的段落 "${opt.next_node}"`);
+            } else {
+                reached.add(opt.next_node);
+            }
+        }
+        for (const nodeId of nodeIds) {
+            if (!reached.has(nodeId)) {
+                this.report('warning', file, id, `段落 "${nodeId}" 没有任何选项的 next_node 指向它，永远不会出现`);
+            }
+        }
+    }
+
+    /**
+     * 校验通用事件的触发窗口：days / day_range / time_slot / attributes
+     * @param {string} file - 文件名
+     * @param {string} id - 事件 id
+     * @param {Object} triggerCondition - 事件的 trigger_condition
+     */
+    validateTriggerWindow(file, id, triggerCondition) {
+        if (!triggerCondition) return;
+        const totalDays = GAME_CONFIG.TOTAL_DAYS;
+        const isDay = d => Number.isInteger(d) && d >= 1 && d <= totalDays;
+        const { days, day_range: range, time_slot: timeSlot, attributes } = triggerCondition;
+
+        if (days !== undefined) {
+            if (!Array.isArray(days) || days.length === 0) {
+                this.report('error', file, id, 'trigger_condition.days 应为非空数组');
+            } else if (!days.every(isDay)) {
+                this.report('error', file, id, `trigger_condition.days 应为 1-${totalDays} 的整数，实际为 ${JSON.stringify(days)}`);
+            }
+        }
+
+        if (range !== undefined) {
+            const min = range?.min !== undefined ? range.min : 1;
+            const max = range?.max !== undefined ? range.max : totalDays;
+            if (!range || typeof range !== 'object' || !isDay(min) || !isDay(max)) {
+                this.report('error', file, id, `trigger_condition.day_range 应为 { min, max }，取值 1-${totalDays}`);
+            } else if (min > max) {
+                this.report('error', file, id, `trigger_condition.day_range 的 min (${min}) 大于 max (${max})，事件永远不会触发`);
+            }
+        }
+
+        if (timeSlot !== undefined) {
+            for (const slot of [].concat(timeSlot)) {
+                if (!this.timeSlots.includes(slot)) {
+                    this.report('error', file, id, `trigger_condition 中未知的 time_slot "${slot}"（可用：${this.timeSlots.join('/')}）`);
+                }
+            }
+        }
+
+        if (attributes !== undefined) {
+            if (!Array.isArray(attributes)) {
+                this.report('error', file, id, 'trigger_condition.attributes 应为数组');
+            } else {
+                for (const a of attributes) {
+                    if (!this.attributes.includes(a?.attribute)) {
+                        this.report('error', file, id, `trigger_condition.attributes 中的未知属性 "${a?.attribute}"`);
+                    }
+                    if (a?.operator !== undefined && !OPERATOR_SYMBOLS[a.operator]) {
+                        this.report('error', file, id, `trigger_condition.attributes 中未知的比较符 "${a.operator}"`);
+                    }
+                    if (typeof a?.value !== 'number') {
+                        this.report('error', file, id, `trigger_condition.attributes 中 ${a?.attribute} 的 value 应为数字`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 校验剧情分支引用：前置/互斥/后续事件必须指向已存在的事件（前置/互斥也可以是选项），
+     * 以及选项的 requires / visible_if 条件
+     * 需要在所有事件文件都登记完 id 之后调用
+     * @param {string} file - 文件名
+     * @param {Array} events - 事件数组
+     * @param {Object} refs - { eventIds, optionIds, itemIds, flags, npcIds }
+     */
+    validateEventLinks(file, events, refs) {
+        const { eventIds, optionIds } = refs;
+        const checkLinks = (id, source) => {
+            for (const key of ['prerequisite_events', 'exclusive_events']) {
+                if (source[key] === undefined) continue;
+                if (!Array.isArray(source[key])) {
+                    this.report('error', file, id, `${key} 应为数组`);
+                    continue;
+                }
+                for (const ref of source[key]) {
+                    if (!eventIds.has(ref) && !optionIds.has(ref)) {
+                        this.report('error', file, id, `${key} 引用了不存在的事件或选项 "${ref}"`);
+                    }
+                }
+            }
+        };
+
+        // 选项是否带有可能不满足的条件（全部选项都有条件时玩家可能无路可走）
+        const isGated = opt => ['requires', 'visible_if', 'flag_conditions', 'item_conditions', 'prerequisite_events', 'exclusive_events']
+            .some(key => Array.isArray(opt[key]) && opt[key].length > 0) ||
+            (opt.items || []).some(i => i?.action === 'consume');
+
+        for (const e of events) {
+            checkLinks(e.event_id, e);
+            for (const key of ['not_before', 'not_after']) {
+                const list = e.trigger_condition?.[key];
+                if (list === undefined) continue;
+                if (!Array.isArray(list)) {
+                    this.report('error', file, e.event_id, `trigger_condition.${key} 应为数组`);
+                    continue;
+                }
+                for (const ref of list) {
+                    if (!eventIds.has(ref) && !optionIds.has(ref)) {
+                        this.report('error', file, e.event_id, `trigger_condition.${key} 引用了不存在的事件或选项 "${ref}"`);
+                    }
+                }
+            }
+            if (Array.isArray(e.options) && e.options.length > 0 && e.options.every(isGated)) {
+                this.report('warning', file, e.event_id, '所有选项都带条件，条件都不满足时玩家无法继续，建议保留一个无条件选项');
+            }
+            for (const node of Array.isArray(e.nodes) ? e.nodes : []) {
+                if (Array.isArray(node?.options) && node.options.length > 0 && node.options.every(isGated)) {
+                    this.report('warning', file, e.event_id, `段落 "${node.node_id}" 的所有选项都带条件，建议保留一个无条件选项`);
+                }
+            }
+            if (e.follow_up_only && e.day !== undefined) {
+                this.report('warning', file, e.event_id, 'follow_up_only 事件不会按 day/time_slot 排期，day 将被忽略');
+            }
+
+            for (const opt of this.getEventOptions(e)) {
+                const optId = opt.option_id || e.event_id;
+                checkLinks(optId, opt);
+                this.validateRequirements(file, optId, 'requires', opt.requires, refs);
+                this.validateRequirements(file, optId, 'visible_if', opt.visible_if, refs);
+
+                if (typeof opt.next_event === 'string' && EVENT_ID_PATTERN.test(opt.next_event) && !eventIds.has(opt.next_event)) {
+                    this.report('error', file, optId, `next_event 指向不存在的事件 "${opt.next_event}"`);
+                }
+
+                if (opt.follow_up_events === undefined) continue;
+                if (!Array.isArray(opt.follow_up_events)) {
+                    this.report('error', file, optId, 'follow_up_events 应为数组');
+                    continue;
+                }
+                for (const f of opt.follow_up_events) {
+                    const targetId = typeof f === 'string' ? f : f?.event_id;
+                    if (!eventIds.has(targetId)) {
+                        this.report('error', file, optId, `follow_up_events 引用了不存在的事件 "${targetId}"`);
+                    }
+                    if (f && typeof f === 'object' && f.delay !== undefined && !FOLLOW_UP_DELAYS.includes(f.delay)) {
+                        this.report('error', file, optId, `未知的 delay "${f.delay}"（可用：${FOLLOW_UP_DELAYS.join('/')}）`);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * 校验选项效果：只有六个属性会生效，其余键会被引擎丢弃
+     * @param {string} file - 文件名
+     * @param {string} id - 选项 id
+     * @param {Object} effects - 效果对象
+     */
+    validateEffects(file, id, effects) {
+        if (!effects) return;
+        for (const [key, value] of Object.entries(effects)) {
+            if (this.attributes.includes(key)) {
+                if (typeof value !== 'number') {
+                    this.report('error', file, id, `effects.${key} 应为数字，实际为 ${JSON.stringify(value)}`);
+                }
+                continue;
+            }
+            // 数值为 0 的未知键不影响结果，只提示；非 0 说明策划想要的效果被丢掉了
+            const severity = value === 0 ? 'warning' : 'error';
+            this.report(severity, file, id, `effects 中的未知属性 "${key}" 会被忽略`);
+        }
+    }
+
+    /**
+     * 校验选项的标记写操作
+     * @param {string} file - 文件名
+     * @param {string} id - 选项 id
+     * @param {Array} writes - [{ flag, action, value }]
+     * @param {Object} flags - 标记记录
+     */
+    validateFlagWrites(file, id, writes, flags) {
+        if (writes === undefined) return;
+        if (!Array.isArray(writes)) {
+            this.report('error', file, id, 'flags 应为数组');
+            return;
+        }
+        for (const w of writes) {
+            if (typeof w?.flag !== 'string' || !w.flag) {
+                this.report('error', file, id, 'flags 中的条目缺少 flag 名称');
+                continue;
+            }
+            const action = w.action || 'set';
+            if (!FLAG_ACTIONS.includes(action)) {
+                this.report('error', file, id, `标记 "${w.flag}" 的 action "${action}" 无效（可用：${FLAG_ACTIONS.join('/')}）`);
+            } else if (action === 'increment' && w.value !== undefined && typeof w.value !== 'number') {
+                this.report('error', file, id, `标记 "${w.flag}" 的 increment 值应为数字`);
+            }
+            flags.written.add(w.flag);
+        }
+    }
+
+    /**
+     * 校验选项条件（requires / visible_if）
+     * @param {string} file - 文件名
+     * @param {string} id - 选项 id
+     * @param {string} key - 字段名
+     * @param {Array} requirements - 条件列表
+     * @param {Object} refs - { eventIds, optionIds, itemIds, flags, npcIds }
+     */
+    validateRequirements(file, id, key, requirements, refs) {
+        if (requirements === undefined) return;
+        if (!Array.isArray(requirements)) {
+            this.report('error', file, id, `${key} 应为数组`);
+            return;
+        }
+        for (const r of requirements) {
+            if (r?.attribute !== undefined) {
+                if (!this.attributes.includes(r.attribute)) {
+                    this.report('error', file, id, `${key} 使用了未知属性 "${r.attribute}"`);
+                }
+                if (r.operator !== undefined && !(r.operator in OPERATOR_SYMBOLS)) {
+                    this.report('error', file, id, `${key} 中属性 "${r.attribute}" 的 operator "${r.operator}" 无效`);
+                }
+            } else if (r?.flag !== undefined) {
+                this.validateFlagConditions(file, id, [r], refs.flags);
+            } else if (r?.item !== undefined) {
+                this.validateItemRefs(file, id, { item_conditions: [r] }, refs.itemIds);
+            } else if (r?.choice !== undefined) {
+                if (!refs.optionIds.has(r.choice)) {
+                    this.report('error', file, id, `${key} 引用了不存在的选项 "${r.choice}"`);
+                }
+            } else if (r?.event !== undefined) {
+                if (!refs.eventIds.has(r.event)) {
+                    this.report('error', file, id, `${key} 引用了不存在的事件 "${r.event}"`);
+                }
+            } else if (r?.statistic !== undefined) {
+                this.validateStatisticConditions(file, id, [r]);
+            } else if (r?.npc !== undefined) {
+                this.validateAffinityConditions(file, id, [r], refs.npcIds);
+            } else {
+                this.report('error', file, id, `${key} 中无法识别的条件 ${JSON.stringify(r)}（需要 attribute/flag/item/choice/event/statistic/npc 之一）`);
+            }
+        }
+    }
+
+    /**
+     * 校验语义标签
+     * @param {string} file - 文件名
+     * @param {string} id - 事件/选项 id
+     * @param {Array} tags - ["meal", { tag, count }]
+     */
+    validateTags(file, id, tags) {
+        if (tags === undefined) return;
+        if (!Array.isArray(tags)) {
+            this.report('error', file, id, 'tags 应为数组');
+            return;
+        }
+        for (const t of tags) {
+            const tag = typeof t === 'string' ? t : t?.tag;
+            if (!OPTION_TAG_STATISTICS[tag]) {
+                this.report('error', file, id, `未知的标签 "${tag}"（可用：${Object.keys(OPTION_TAG_STATISTICS).join('/')}）`);
+            }
+            if (t && typeof t === 'object' && t.count !== undefined && !(Number.isInteger(t.count) && t.count > 0)) {
+                this.report('error', file, id, `标签 "${tag}" 的 count 应为正整数`);
+            }
+        }
+    }
+
+    /**
+     * 校验统计条件
+     * @param {string} file - 文件名
+     * @param {string} id - 事件/结局 id
+     * @param {Array} conditions - [{ statistic, operator, value }]
+     */
+    validateStatisticConditions(file, id, conditions) {
+        if (conditions === undefined) return;
+        if (!Array.isArray(conditions)) {
+            this.report('error', file, id, 'statistic_conditions 应为数组');
+            return;
+        }
+        for (const c of conditions) {
+            if (!(c?.statistic in STATISTIC_NAMES)) {
+                this.report('error', file, id, `未知的统计项 "${c?.statistic}"`);
+            }
+            if (typeof c?.value !== 'number') {
+                this.report('error', file, id, `统计项 "${c?.statistic}" 的 value 应为数字`);
+            }
+        }
+    }
+
+    /**
+     * 校验好感度条件
+     * @param {string} file - 文件名
+     * @param {string} id - 事件/选项/结局 id
+     * @param {Array} conditions - [{ npc, operator, value }]
+     * @param {Set} npcIds - NPC id 集合
+     */
+    validateAffinityConditions(file, id, conditions, npcIds) {
+        if (conditions === undefined) return;
+        if (!Array.isArray(conditions)) {
+            this.report('error', file, id, 'affinity_conditions 应为数组');
+            return;
+        }
+        for (const c of conditions) {
+            if (!npcIds.has(c?.npc)) {
+                this.report('error', file, id, `好感度条件引用了不在 npcs.json 中的 NPC "${c?.npc}"`);
+            }
+            if (c?.operator !== undefined && !(c.operator in OPERATOR_SYMBOLS)) {
+                this.report('error', file, id, `NPC "${c.npc}" 好感度条件的 operator "${c.operator}" 无效`);
+            }
+            if (typeof c?.value !== 'number') {
+                this.report('error', file, id, `NPC "${c?.npc}" 好感度条件的 value 应为数字`);
+            }
+        }
+    }
+
+    /**
+     * 校验选项的好感度变化 { npcId: 数值 }
+     * @param {string} file - 文件名
+     * @param {string} id - 选项 id
+     * @param {Object} affinity - 好感度变化
+     * @param {Set} npcIds - NPC id 集合
+     */
+    validateAffinityEffects(file, id, affinity, npcIds) {
+        if (affinity === undefined) return;
+        if (!affinity || typeof affinity !== 'object' || Array.isArray(affinity)) {
+            this.report('error', file, id, 'affinity 应为 { "npc_id": 数值 } 形式的对象');
+            return;
+        }
+        for (const [npcId, value] of Object.entries(affinity)) {
+            if (!npcIds.has(npcId)) {
+                this.report('error', file, id, `affinity 中的 NPC "${npcId}" 不在 npcs.json 中`);
+            }
+            if (typeof value !== 'number') {
+                this.report('error', file, id, `affinity.${npcId} 应为数字`);
+            }
+        }
+    }
+
+    /**
+     * 校验选项的物品操作与物品条件
+     * @param {string} file - 文件名
+     * @param {string} id - 选项 id
+     * @param {Object} opt - 选项
+     * @param {Set} itemIds - 物品 id 集合
+     */
+    validateItemRefs(file, id, opt, itemIds) {
+        for (const key of ['items', 'item_conditions']) {
+            if (opt[key] === undefined) continue;
+            if (!Array.isArray(opt[key])) {
+                this.report('error', file, id, `${key} 应为数组`);
+                continue;
+            }
+            for (const entry of opt[key]) {
+                if (!itemIds.has(entry?.item)) {
+                    this.report('error', file, id, `${key} 引用了不在 items.json 中的物品 "${entry?.item}"`);
+                }
+                if (entry?.count !== undefined && !(Number.isInteger(entry.count) && entry.count > 0)) {
+                    this.report('error', file, id, `${key} 中 "${entry.item}" 的 count 应为正整数`);
+                }
+                if (key === 'items' && entry?.action !== undefined && !ITEM_ACTIONS.includes(entry.action)) {
+                    this.report('error', file, id, `物品 "${entry.item}" 的 action "${entry.action}" 无效（可用：${ITEM_ACTIONS.join('/')}）`);
+                }
+            }
+        }
+    }
+
+    /**
+     * 校验标记条件
+     * @param {string} file - 文件名
+     * @param {string} id - 事件/选项/结局 id
+     * @param {Array} conditions - [{ flag, operator, value }]
+     * @param {Object} flags - 标记记录
+     */
+    validateFlagConditions(file, id, conditions, flags) {
+        if (conditions === undefined) return;
+        if (!Array.isArray(conditions)) {
+            this.report('error', file, id, 'flag_conditions 应为数组');
+            return;
+        }
+        for (const c of conditions) {
+            if (typeof c?.flag !== 'string' || !c.flag) {
+                this.report('error', file, id, '标记条件缺少 flag 名称');
+                continue;
+            }
+            if (c.operator !== undefined && !FLAG_OPERATORS.includes(c.operator)) {
+                this.report('error', file, id, `标记 "${c.flag}" 的 operator "${c.operator}" 无效（可用：${FLAG_OPERATORS.join(' ')}）`);
+            }
+            flags.read.push({ file, id, flag: c.flag });
+        }
+    }
+
+    /**
+     * 读取了但没有任何选项写入的标记，条件永远不会按预期成立
+     * @param {Object} flags - 标记记录
+     */
+    validateFlagUsage(flags) {
+        for (const { file, id, flag } of flags.read) {
+            if (!flags.written.has(flag)) {
+                this.report('warning', file, id, `标记 "${flag}" 没有任何选项写入`);
+            }
+        }
+    }
+
+    /**
+     * 校验结局
+     * @param {Array} endings - 结局数组
+     * @param {Set} characterIds - 角色 id 集合
+     * @param {Object} flags - 标记记录
+     * @param {Set} npcIds - NPC id 集合
+     * @returns {Set} 结局 id 集合
+     */
+    validateEndings(endings, characterIds, flags, npcIds) {
+        const file = 'endings.json';
+        const seen = new Set();
+        for (const e of endings) {
+            const id = e.ending_id;
+            if (seen.has(id)) {
+                this.report('error', file, id, 'ending_id 重复');
+            }
+            seen.add(id);
+
+            const characterId = e.character_id || e.characterId;
+            if (characterId && !characterIds.has(characterId)) {
+                this.report('error', file, id, `character_id "${characterId}" 不在 characters.json 中`);
+            }
+
+            const conditions = e.unlock_conditions || e.unlockConditions;
+            if (Array.isArray(conditions)) {
+                conditions.forEach((group, groupIndex) => {
+                    for (const cond of group.conditions || []) {
+                        if (cond.flag !== undefined) {
+                            this.validateFlagConditions(file, id, [cond], flags);
+                        } else if (cond.statistic !== undefined) {
+                            this.validateStatisticConditions(file, id, [cond]);
+                        } else if (cond.npc !== undefined) {
+                            this.validateAffinityConditions(file, id, [cond], npcIds);
+                        } else if (!this.attributes.includes(cond.attribute)) {
+                            this.report('error', file, id, `条件组 #${groupIndex + 1} 使用了未知属性 "${cond.attribute}"`);
+                        }
+                    }
+                });
+            } else if (conditions && typeof conditions === 'object') {
+                for (const key of Object.keys(conditions)) {
+                    if (key === 'flags') {
+                        this.validateFlagConditions(file, id, conditions.flags, flags);
+                        continue;
+                    }
+                    if (key === 'statistics') {
+                        this.validateStatisticConditions(file, id, conditions.statistics);
+                        continue;
+                    }
+                    if (key === 'affinity') {
+                        this.validateAffinityConditions(file, id, conditions.affinity, npcIds);
+                        continue;
+                    }
+                    if (key === 'option_condition') {
+                        // 策划写的文字说明，引擎无法判定：结局只按其余条件解锁，需要改写成 flags 等条件才会生效
+                        this.report('warning', file, id, `unlockConditions.option_condition（"${conditions.option_condition}"）只是文字说明，不参与判定`);
+                        continue;
+                    }
+                    const match = /^(min|max)_(.+)$/.exec(key);
+                    if (!match) {
+                        this.report('error', file, id, `unlockConditions 中无法识别的键 "${key}" 会被忽略`);
+                    } else if (!this.attributes.includes(match[2])) {
+                        this.report('error', file, id, `unlockConditions 使用了未知属性 "${match[2]}"`);
+                    }
+                }
+            }
+        }
+        return seen;
+    }
+
+    /**
+     * 校验成就
+     * @param {Array} achievements - 成就数组
+     * @param {Object} refs - { characterIds, eventIds, optionIds, endingIds }，用于检查引用是否存在
+     */
+    validateAchievements(achievements, refs) {
+        const { characterIds, eventIds, optionIds, endingIds } = refs;
+        const file = 'achievements.json';
+        const seen = new Set();
+        for (const a of achievements) {
+            if (seen.has(a.id)) {
+                this.report('error', file, a.id, '成就 id 重复');
+            }
+            seen.add(a.id);
+
+            const characterId = a.characterId || a.character_id;
+            if (characterId && !characterIds.has(characterId)) {
+                this.report('error', file, a.id, `characterId "${characterId}" 不在 characters.json 中`);
+            }
+
+            const cond = a.condition;
+            if (!cond) {
+                this.report('error', file, a.id, '缺少 condition');
+                continue;
+            }
+            if (!this.achievementConditionTypes.includes(cond.type)) {
+                this.report('error', file, a.id, `引擎无法判定的条件类型 "${cond.type}"，该成就永远无法达成`);
+            }
+            if (cond.attribute !== undefined && !this.attributes.includes(cond.attribute)) {
+                this.report('error', file, a.id, `condition 使用了未知属性 "${cond.attribute}"`);
+            }
+            if (cond.type === 'choice') {
+                if (!eventIds.has(cond.eventId)) {
+                    this.report('error', file, a.id, `condition.eventId "${cond.eventId}" 不存在`);
+                } else if (cond.optionId !== undefined && optionIds.get(cond.optionId) !== cond.eventId) {
+                    this.report('error', file, a.id, `condition.optionId "${cond.optionId}" 不属于事件 ${cond.eventId}`);
+                }
+            }
+            if (cond.type === 'statistic' && !(cond.statistic in STATISTIC_NAMES)) {
+                this.report('error', file, a.id, `condition.statistic "${cond.statistic}" 不是已知的统计项`);
+            }
+            if (cond.type === 'ending' && cond.endingId !== undefined && !endingIds.has(cond.endingId)) {
+                this.report('error', file, a.id, `condition.endingId "${cond.endingId}" 不存在`);
+            }
+        }
+    }
+}
+
+
+// ============================================
+
+/**
+ * Game 是“总指挥”，负责把数据、规则、UI串起来。
+ * - init：读取 JSON 数据并渲染页面
+ * - startGame：开始一局
+ * - generateEvent：展示下一事件
+ * - makeChoice：玩家选择 → 属性变化 → 时间推进
+ * - showEnding：结局展示
+ */
+class Game {
+    constructor() {
+        // 初始化核心组件
+        this.state = new GameState();
+        this.attributes = new AttributeManager(this.state);
+        this.events = new EventManager(this.state, this.attributes);
+        this.saves = new SaveManager(this.state);
+        this.endings = new EndingManager(this.state, this.attributes);
+        this.achievements = new AchievementsManager(this.state, this.attributes);
+        this.achievementHistoryKey = 'springFestivalAchievementHistory_v1';
+        this.completedCharactersKey = 'springFestivalCompletedCharacters_v1';
+        this.revealedAchievementsKey = 'springFestivalRevealedAchievements_v1';
+        this.attributeRecordsKey = 'springFestivalAttributeRecords_v1';
+        this.endingCollectionKey = 'springFestivalEndingCollection_v1';
+        this.runHistoryKey = 'springFestivalRunHistory_v1';
+
+        // 游戏数据
+        this.characters = [];
+        this.eventData = [];
+        this.endingData = [];
+        // 物品目录（名称、图标、说明），背包里只存物品ID和数量
+        this.items = [];
+        // NPC 名册（二舅、三姨妈……），每局的好感度记在 GameState.affinity
+        this.npcs = [];
+        // 未经转换的 JSON 原文（供开发模式下的内容校验使用）
+        this.rawData = {};
+
+        // UI状态
+        this.uiState = {
+            selectedCharacterId: null,
+            achievementsView: 'grid',
+            leaderboardCharacter: 'all',
+            leaderboardSort: 'score',
+            replayReturnScreen: null,
+            importSlot: null,
+            // 设置：新开局是否使用铁人模式
+            ironmanEnabled: false,
+            animationEnabled: true,
+            soundEnabled: true,
+            musicVolume: 50,
+            soundVolume: 70
+        };
+
+        this.pendingFeedbackAction = null;
+        this.notificationHideTimer = null;
+        // 最近一次结局（生成分享图时使用）
+        this.lastEnding = null;
+
+        // 绑定方法
+        this.init = this.init.bind(this);
+        this.startGame = this.startGame.bind(this);
+        this.makeChoice = this.makeChoice.bind(this);
+        this.saveGame = this.saveGame.bind(this);
+        this.loadGame = this.loadGame.bind(this);
+        this.toAchievements = this.toAchievements.bind(this);
+        this.renderAchievements = this.renderAchievements.bind(this);
+        this.showAchievementToast = this.showAchievementToast.bind(this);
+    }
+
+    getAchievementHistory() {
+        try {
+            const data = localStorage.getItem(this.achievementHistoryKey);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('加载成就记录失败:', e);
+            return {};
+        }
+    }
+
+    saveAchievementHistory(data) {
+        try {
+            localStorage.setItem(this.achievementHistoryKey, JSON.stringify(data));
+        } catch (e) {
+            console.error('保存成就记录失败:', e);
+        }
+    }
+
+    recordAchievementUnlock(achievement, timestamp) {
+        const characterId = this.state.character?.id;
+        if (!characterId || !achievement?.id) return;
+        const history = this.getAchievementHistory();
+        const list = Array.isArray(history[characterId]) ? history[characterId] : [];
+        if (!list.some(x => x && x.id === achievement.id)) {
+            list.push({ id: achievement.id, timestamp: timestamp || Date.now() });
+            history[characterId] = list;
+            this.saveAchievementHistory(history);
+        }
+    }
+
+    // 跨局记录：通关过至少一次的角色 id
+    getCompletedCharacterIds() {
+        try {
+            const data = localStorage.getItem(this.completedCharactersKey);
+            const list = data ? JSON.parse(data) : [];
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            console.error('加载通关记录失败:', e);
+            return [];
+        }
+    }
+
+    recordCompletedCharacter(characterId) {
+        if (!characterId) return;
+        const list = this.getCompletedCharacterIds();
+        if (list.includes(characterId)) return;
+        list.push(characterId);
+        try {
+            localStorage.setItem(this.completedCharactersKey, JSON.stringify(list));
+        } catch (e) {
+            console.error('保存通关记录失败:', e);
+        }
+    }
+
+    // 跨局记录：达成过的结局 { [endingId]: { count, firstReachedAt } }
+    getEndingCollection() {
+        try {
+            const data = localStorage.getItem(this.endingCollectionKey);
+            const collection = data ? JSON.parse(data) : {};
+            return collection && typeof collection === 'object' && !Array.isArray(collection) ? collection : {};
+        } catch (e) {
+            console.error('加载结局图鉴失败:', e);
+            return {};
+        }
+    }
+
+    recordEndingReached(ending, timestamp) {
+        if (!ending?.id) return;
+        const collection = this.getEndingCollection();
+        const entry = collection[ending.id] || { count: 0, firstReachedAt: timestamp || Date.now() };
+        entry.count++;
+        collection[ending.id] = entry;
+        try {
+            localStorage.setItem(this.endingCollectionKey, JSON.stringify(collection));
+        } catch (e) {
+            console.error('保存结局图鉴失败:', e);
+        }
+    }
+
+    // 跨局记录：已完成的对局（新的在前）
+    getRunHistory() {
+        try {
+            const data = localStorage.getItem(this.runHistoryKey);
+            const list = data ? JSON.parse(data) : [];
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            console.error('加载对局历史失败:', e);
+            return [];
+        }
+    }
+
+    /**
+     * 记录一局的结果：角色、结局、得分、最终属性、用时与种子
+     * @param {Object} ending - determineEnding 的结果
+     * @param {number} [timestamp] - 完成时间
+     * @returns {Object} 写入的记录
+     */
+    recordRun(ending, timestamp) {
+        const finishedAt = timestamp || Date.now();
+        const startTime = this.state.meta.startTime;
+        const run = {
+            characterId: this.state.character?.id || null,
+            characterName: this.state.character?.name || '',
+            endingId: ending.id,
+            endingTitle: ending.title,
+            score: ending.score,
+            finalStats: { ...ending.finalStats },
+            durationMs: startTime ? Math.max(0, finishedAt - startTime) : null,
+            seed: this.state.random.seed,
+            finishedAt
+        };
+        const list = [run, ...this.getRunHistory()].slice(0, GAME_CONFIG.RUN_HISTORY_LIMIT);
+        try {
+            localStorage.setItem(this.runHistoryKey, JSON.stringify(list));
+        } catch (e) {
+            console.error('保存对局历史失败:', e);
+        }
+        return run;
+    }
+
+    /**
+     * 把事件记录整理成按天分章的回放时间线
+     * 事件或选项已从数据中删除时，用 ID 代替标题 / 选项文字。
+     * @param {Array} history - GameState.eventHistory（或存档里的同名字段）
+     * @returns {Array<{day: number, dayName: string, calendar: Object|null, steps: Array}>}
+     */
+    buildRunTimeline(history) {
+        const days = new Map();
+        for (const record of history || []) {
+            const event = this.events.getEvent(record.eventId);
+            const view = event && record.nodeId ? this.events.getEventNode(event, record.nodeId) : event;
+            const options = view?.options || [];
+            const option = options.find(o => o.id === record.choiceId) || options[record.choiceIndex] || null;
+
+            if (!days.has(record.day)) {
+                const dayName = GAME_CONFIG.DAY_NAMES[record.day - 1] || `第${record.day}天`;
+                days.set(record.day, {
+                    day: record.day,
+                    dayName,
+                    calendar: CALENDAR_DISPLAY[dayName] || null,
+                    steps: []
+                });
+            }
+            days.get(record.day).steps.push({
+                period: record.period,
+                periodName: GAME_CONFIG.PERIOD_NAMES[record.period] || '',
+                title: view?.title || record.eventId,
+                scene: view?.scene || '',
+                choiceText: option?.text || record.choiceId || '',
+                resultDesc: option?.feedback || '',
+                changes: record.changes || {}
+            });
+        }
+        return [...days.values()].sort((a, b) => a.day - b.day);
+    }
+
+    /**
+     * 每个角色的最高分记录
+     * @param {Array} [history] - getRunHistory 的结果
+     * @returns {Map} characterId → 该角色得分最高的一局
+     */
+    getBestRuns(history = this.getRunHistory()) {
+        const best = new Map();
+        for (const run of history) {
+            const current = best.get(run.characterId);
+            if (!current || run.score > current.score) best.set(run.characterId, run);
+        }
+        return best;
+    }
+
+    /**
+     * 某个角色能达成的结局（角色专属 + 通用），顺序与 endings.json 一致
+     * @param {string} characterId - 角色ID
+     * @returns {Array}
+     */
+    getCharacterEndings(characterId) {
+        return this.endingData.filter(e => !e.characterId || e.characterId === characterId);
+    }
+
+    /**
+     * 角色的结局收集进度，用于角色列表的“结局 3/5”徽标
+     * @param {string} characterId - 角色ID
+     * @param {Object} [collection] - getEndingCollection 的结果
+     * @returns {{reached: number, total: number}}
+     */
+    getEndingProgress(characterId, collection = this.getEndingCollection()) {
+        const endings = this.getCharacterEndings(characterId);
+        return {
+            reached: endings.filter(e => collection[e.id]).length,
+            total: endings.length
+        };
+    }
+
+    // 跨局记录：每个角色每项属性曾达到的最高/最低值 { [characterId]: { [attr]: { max, min } } }
+    getAttributeRecords() {
+        try {
+            const data = localStorage.getItem(this.attributeRecordsKey);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            console.error('加载属性记录失败:', e);
+            return {};
+        }
+    }
+
+    recordAttributeRecords() {
+        const characterId = this.state.character?.id;
+        if (!characterId) return;
+        const records = this.getAttributeRecords();
+        const entry = records[characterId] || {};
+        for (const [attr, value] of Object.entries(this.state.attributes)) {
+            if (typeof value !== 'number') continue;
+            const record = entry[attr] || { max: value, min: value };
+            record.max = Math.max(record.max, value);
+            record.min = Math.min(record.min, value);
+            entry[attr] = record;
+        }
+        records[characterId] = entry;
+        try {
+            localStorage.setItem(this.attributeRecordsKey, JSON.stringify(records));
+        } catch (e) {
+            console.error('保存属性记录失败:', e);
+        }
+    }
+
+    /**
+     * 计算阈值类成就的进度（使用所有对局中达到过的最佳值）
+     * 只支持 attribute 类型；“≥/>” 显示进度条，“≤/<” 只显示历史最低值。
+     * @param {Object} achievement - 成就
+     * @param {Object} records - getAttributeRecords 的结果
+     * @returns {Object|null} { best, target, percent, label }
+     */
+    getAchievementProgress(achievement, records) {
+        const cond = achievement.condition;
+        if (!cond || cond.type !== 'attribute' || typeof cond.value !== 'number') return null;
+
+        const achCharId = achievement.characterId || achievement.character_id || null;
+        const entries = achCharId ? [records[achCharId]] : Object.values(records);
+        const values = entries
+            .map(entry => entry && entry[cond.attribute])
+            .filter(Boolean);
+        if (values.length === 0) return null;
+
+        const name = ATTRIBUTE_NAMES[cond.attribute] || cond.attribute;
+        const format = v => Math.round(v).toLocaleString('zh-CN');
+        const target = cond.value;
+
+        if (cond.operator === '>=' || cond.operator === '>') {
+            const best = Math.max(...values.map(r => r.max));
+            let percent;
+            if (target > 0) {
+                percent = best / target;
+            } else {
+                // 目标 ≤ 0 时按属性下限换算，避免除以 0
+                const min = ATTRIBUTE_BOUNDS[cond.attribute]?.min ?? 0;
+                percent = target === min ? 1 : (best - min) / (target - min);
+            }
+            return {
+                best,
+                target,
+                percent: Math.max(0, Math.min(1, percent)),
+                label: `${name} ${format(best)} / ${format(target)}`
+            };
+        }
+
+        if (cond.operator === '<=' || cond.operator === '<') {
+            const best = Math.min(...values.map(r => r.min));
+            return { best, target, percent: null, label: `${name} 历史最低 ${format(best)} / 目标 ${cond.operator}${format(target)}` };
+        }
+
+        return null;
+    }
+
+    /**
+     * 所有成就的首次达成时间（取各角色记录中最早的一次）
+     * @returns {Map} id → timestamp
+     */
+    getAchievementUnlockTimes() {
+        const times = new Map();
+        const add = (id, timestamp) => {
+            if (!id || !timestamp) return;
+            if (!times.has(id) || timestamp < times.get(id)) times.set(id, timestamp);
+        };
+        for (const list of Object.values(this.getAchievementHistory())) {
+            if (!Array.isArray(list)) continue;
+            for (const u of list) add(u?.id, u?.timestamp);
+        }
+        for (const u of this.state.achievementsUnlocked || []) add(u?.id, u?.timestamp);
+        return times;
+    }
+
+    // 已在成就展览中播放过揭晓动画的隐藏成就 id
+    getRevealedAchievementIds() {
+        try {
+            const data = localStorage.getItem(this.revealedAchievementsKey);
+            const list = data ? JSON.parse(data) : [];
+            return new Set(Array.isArray(list) ? list : []);
+        } catch (e) {
+            console.error('加载成就揭晓记录失败:', e);
+            return new Set();
+        }
+    }
+
+    saveRevealedAchievementIds(ids) {
+        try {
+            localStorage.setItem(this.revealedAchievementsKey, JSON.stringify([...ids]));
+        } catch (e) {
+            console.error('保存成就揭晓记录失败:', e);
+        }
+    }
+
+    // 聚合：指定角色历史已达成成就ID集合（来自所有存档）
+    getRoleUnlockedAchievementIds(characterId) {
+        const saves = this.saves.getAllSaves();
+        const ids = new Set();
+        for (const s of saves) {
+            if (!s || !s.gameState) continue;
+            const gid = s.gameState?.character?.id;
+            if (gid !== characterId) continue;
+            const unlocked = s.gameState?.achievementsUnlocked || [];
+            for (const u of unlocked) {
+                if (u && u.id) ids.add(u.id);
+            }
+        }
+        const history = this.getAchievementHistory();
+        const historyList = Array.isArray(history[characterId]) ? history[characterId] : [];
+        for (const u of historyList) {
+            if (u && u.id) ids.add(u.id);
+        }
+        if (this.state.character?.id === characterId) {
+            const currentUnlocked = this.state.achievementsUnlocked || [];
+            for (const u of currentUnlocked) {
+                if (u && u.id) ids.add(u.id);
+            }
+        }
+        return ids;
+    }
+
+    // 渲染：角色选择详情中的“通用成就（该角色已达成）”
+    renderCharacterAchievements(characterId) {
+        const all = this.achievements.getByCharacter(characterId);
+        const unlockedIds = this.getRoleUnlockedAchievementIds(characterId);
+        const unlocked = all.filter(a => unlockedIds.has(a.id));
+
+        if (unlocked.length === 0) {
+            return '';
+        }
+
+        const cards = unlocked.map(a => `
+            <div class="achievement-card">
+                <div class="achievement-name font-black">${a.name}</div>
+                <div class="achievement-desc text-sm">${a.desc || ''}</div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                ${cards}
+            </div>
+        `;
+    }
+
+    /**
+     * 初始化游戏
+     */
+    async init() {
+        console.log('春节模拟器 v' + GAME_CONFIG.VERSION + ' 初始化中...');
+
+        // 加载设置
         this.loadSettings();
 
         // 加载游戏数据
         await this.loadGameData();
 
+        // 开发模式：校验数据并弹出结果
+        if (this.isDevMode()) {
+            this.showValidationOverlay(new ContentValidator().validate(this.rawData));
+        }
+
         // 初始化存档管理器
         this.saves.init();
 
@@ -1729,6 +4261,10 @@ class Game {
                 this.renderAchievements();
             }
         });
+        this.achievements.setCrossRunProvider(() => ({
+            completedCharacterIds: this.getCompletedCharacterIds(),
+            characterIds: this.characters.map(c => c.id)
+        }));
 
         // 渲染角色列表
         this.renderCharacters();
@@ -1748,6 +4284,7 @@ class Game {
             const charResponse = await fetch('../data/characters.json');
             if (charResponse.ok) {
                 const charData = await charResponse.json();
+                this.rawData.characters = charData;
                 this.characters = charData.characters || [];
             }
         } catch (e) {
@@ -1765,18 +4302,21 @@ class Game {
             
             if (commonEventsResponse.ok) {
                 const commonData = await commonEventsResponse.json();
+                this.rawData.commonEvents = commonData;
                 const commonEvents = this.convertCommonEvents(commonData.events || []);
                 this.eventData = [...commonEvents];
             }
             
             if (charEventsResponse.ok) {
                 const charEventsData = await charEventsResponse.json();
+                this.rawData.characterEvents = charEventsData;
                 const charEvents = this.convertCharacterEvents(charEventsData.events || []);
                 this.eventData = [...this.eventData, ...charEvents];
             }
             
             if (endingsResponse.ok) {
                 const endingsData = await endingsResponse.json();
+                this.rawData.endings = endingsData;
                 this.endingData = this.convertEndings(endingsData.endings || []);
             }
 
@@ -1785,6 +4325,7 @@ class Game {
                 const achievementsResponse = await fetch('../data/achievements.json');
                 if (achievementsResponse.ok) {
                     const achievementsData = await achievementsResponse.json();
+                    this.rawData.achievements = achievementsData;
                     this.achievements.loadAchievements(achievementsData.achievements || []);
                 } else {
                     this.achievements.loadAchievements([]);
@@ -1793,6 +4334,30 @@ class Game {
                 console.warn('加载成就数据失败:', e);
                 this.achievements.loadAchievements([]);
             }
+
+            // 加载物品目录（缺失时背包只显示物品ID）
+            try {
+                const itemsResponse = await fetch('../data/items.json');
+                if (itemsResponse.ok) {
+                    const itemsData = await itemsResponse.json();
+                    this.rawData.items = itemsData;
+                    this.items = itemsData.items || [];
+                }
+            } catch (e) {
+                console.warn('加载物品数据失败:', e);
+            }
+
+            // 加载 NPC 名册（缺失时事件仍显示默认的“路人/家人”）
+            try {
+                const npcsResponse = await fetch('../data/npcs.json');
+                if (npcsResponse.ok) {
+                    const npcsData = await npcsResponse.json();
+                    this.rawData.npcs = npcsData;
+                    this.npcs = npcsData.npcs || [];
+                }
+            } catch (e) {
+                console.warn('加载NPC数据失败:', e);
+            }
             
             console.log(`加载了 ${this.eventData.length} 个事件, ${this.endingData.length} 个结局`);
         } catch (e) {
@@ -1805,7 +4370,11 @@ class Game {
 
         // 设置到管理器
         this.events.loadEvents(this.eventData);
+        this.events.loadItems(this.items);
+        this.events.loadNpcs(this.npcs);
+        this.endings.loadNpcs(this.npcs);
         this.endings.loadEndings(this.endingData);
+        this.saves.loadCharacters(this.characters);
     }
 
     /**
@@ -1822,14 +4391,24 @@ class Game {
             location: e.trigger_condition?.scene || '未知地点',
             npc: '👤',
             npcName: '路人',
+            ...(e.npc ? { npcId: e.npc } : {}),
             weight: Math.floor((e.trigger_condition?.probability || 0.25) * 100),
             onceOnly: false,
-            options: (e.options || []).map(opt => ({
-                id: opt.option_id || `opt_${index}`,
-                text: opt.text || '选择',
-                effects: this.convertEffects(opt.effects),
-                feedback: opt.result_desc || opt.next_event || '你的选择带来了变化'
-            }))
+            ...(e.max_occurrences ? { maxOccurrences: e.max_occurrences } : {}),
+            ...(e.cooldown_periods ? { cooldownPeriods: e.cooldown_periods } : {}),
+            ...this.convertEventLinks({
+                ...e,
+                prerequisite_events: [...(e.prerequisite_events || []), ...(e.trigger_condition?.not_before || [])],
+                exclusive_events: [...(e.exclusive_events || []), ...(e.trigger_condition?.not_after || [])]
+            }),
+            triggerConditions: [
+                ...this.convertTriggerWindow(e.trigger_condition),
+                ...this.convertFlagConditions(e.flag_conditions),
+                ...this.convertStatisticConditions(e.statistic_conditions),
+                ...this.convertAffinityConditions(e.affinity_conditions)
+            ],
+            ...this.convertEventNodes(e.nodes, index),
+            options: (e.options || []).map(opt => this.convertOption(opt, index, e.tags))
         }));
     }
 
@@ -1847,19 +4426,274 @@ class Game {
             location: '家中',
             npc: '👤',
             npcName: '家人',
+            ...(e.npc ? { npcId: e.npc } : {}),
             weight: 100,
             onceOnly: true,
             exclusiveTo: [e.character_id].filter(Boolean),
-            triggerConditions: e.day ? [{
-                type: 'time',
-                params: { days: [e.day], periods: this.getPeriodIndex(e.time_slot) }
-            }] : [],
-            options: (e.options || []).map(opt => ({
-                id: opt.option_id || `opt_${index}`,
-                text: opt.text || '选择',
-                effects: this.convertEffects(opt.effects),
-                feedback: opt.result_desc || opt.next_event || '你的选择带来了变化'
+            triggerConditions: [
+                ...(e.day ? [{
+                    type: 'time',
+                    params: { days: [e.day], periods: this.getPeriodIndex(e.time_slot) }
+                }] : []),
+                ...this.convertFlagConditions(e.flag_conditions),
+                ...this.convertStatisticConditions(e.statistic_conditions),
+                ...this.convertAffinityConditions(e.affinity_conditions)
+            ],
+            ...this.convertEventLinks(e),
+            ...this.convertEventNodes(e.nodes, index),
+            options: (e.options || []).map(opt => this.convertOption(opt, index, e.tags))
+        }));
+    }
+
+    /**
+     * 转换多段事件的段落
+     * nodes: [{ node_id, description, options }]，选项写 next_node 进入同一时段内的下一段
+     * 事件上的 tags 只合并到第一段的选项，避免同一场对话重复计入统计
+     */
+    convertEventNodes(nodes, index) {
+        if (!Array.isArray(nodes) || nodes.length === 0) return {};
+        return {
+            nodes: nodes.map(node => ({
+                id: node.node_id,
+                description: node.description || '',
+                options: (node.options || []).map(opt => this.convertOption(opt, index))
             }))
+        };
+    }
+
+    /**
+     * 转换通用事件 trigger_condition 中的触发窗口
+     *   days: [2]                          只在指定天数触发
+     *   day_range: { min, max }            只在天数区间内触发（含两端）
+     *   time_slot: "evening" 或 [...]      只在指定时段触发
+     *   attributes: [{ attribute, operator, value }]  属性前置条件（operator 缺省为 ">="）
+     * not_before / not_after 属于事件先后关系，由 convertCommonEvents 并入前置/互斥事件
+     */
+    convertTriggerWindow(triggerCondition) {
+        if (!triggerCondition) return [];
+        const conditions = [];
+
+        const time = {};
+        if (Array.isArray(triggerCondition.days)) {
+            time.days = [...triggerCondition.days];
+        }
+        if (triggerCondition.day_range) {
+            time.dayRange = {
+                min: triggerCondition.day_range.min !== undefined ? triggerCondition.day_range.min : 1,
+                max: triggerCondition.day_range.max !== undefined ? triggerCondition.day_range.max : GAME_CONFIG.TOTAL_DAYS
+            };
+        }
+        if (triggerCondition.time_slot !== undefined) {
+            const slots = [].concat(triggerCondition.time_slot);
+            time.periods = [...new Set(slots.flatMap(slot => this.getPeriodIndex(slot)))];
+        }
+        if (Object.keys(time).length > 0) {
+            conditions.push({ type: 'time', params: time });
+        }
+
+        for (const a of triggerCondition.attributes || []) {
+            conditions.push({
+                type: 'attribute',
+                params: { attribute: a.attribute, operator: a.operator || '>=', value: a.value }
+            });
+        }
+        return conditions;
+    }
+
+    /**
+     * 转换事件/选项上的剧情分支字段
+     * prerequisite_events / exclusive_events → prerequisiteEvents / mutuallyExclusive
+     * follow_up_only → followUpOnly（只能由后续事件触发，不参与随机抽取和日程）
+     */
+    convertEventLinks(source) {
+        const links = {};
+        if (Array.isArray(source.prerequisite_events) && source.prerequisite_events.length > 0) {
+            links.prerequisiteEvents = [...source.prerequisite_events];
+        }
+        if (Array.isArray(source.exclusive_events) && source.exclusive_events.length > 0) {
+            links.mutuallyExclusive = [...source.exclusive_events];
+        }
+        if (source.follow_up_only) {
+            links.followUpOnly = true;
+        }
+        return links;
+    }
+
+    /**
+     * 转换选项格式（通用事件与角色专属事件共用）
+     * next_event 是事件 id 时作为下一时段的后续事件，否则仍当作反馈文案
+     * 事件上的 tags 会合并到每个选项
+     */
+    convertOption(opt, index, eventTags) {
+        const followUpEvents = (opt.follow_up_events || []).map(f => typeof f === 'string'
+            ? { eventId: f }
+            : { eventId: f.event_id, delay: f.delay, probability: f.probability, priority: f.priority }
+        );
+        const nextEventIsId = typeof opt.next_event === 'string' && EVENT_ID_PATTERN.test(opt.next_event);
+        if (nextEventIsId) {
+            followUpEvents.push({ eventId: opt.next_event });
+        }
+
+        const tags = this.convertTags([...(eventTags || []), ...(opt.tags || [])]);
+        const availabilityConditions = [
+            ...this.convertRequirements(opt.requires),
+            ...this.convertFlagConditions(opt.flag_conditions),
+            ...this.convertItemConditions(opt.item_conditions, opt.items)
+        ];
+        const visibilityConditions = this.convertRequirements(opt.visible_if);
+
+        return {
+            id: opt.option_id || `opt_${index}`,
+            text: opt.text || '选择',
+            effects: [
+                ...this.convertEffects(opt.effects),
+                ...this.convertFlagEffects(opt.flags),
+                ...this.convertItemEffects(opt.items),
+                ...this.convertAffinityEffects(opt.affinity)
+            ],
+            feedback: opt.result_desc || (nextEventIsId ? null : opt.next_event) || '你的选择带来了变化',
+            ...this.convertEventLinks(opt),
+            ...(followUpEvents.length > 0 ? { followUpEvents } : {}),
+            ...(availabilityConditions.length > 0 ? { availabilityConditions } : {}),
+            ...(visibilityConditions.length > 0 ? { visibilityConditions } : {}),
+            ...(tags.length > 0 ? { tags } : {}),
+            ...(opt.next_node ? { nextNode: opt.next_node } : {}),
+            ...(opt.unavailable_text ? { unavailableText: opt.unavailable_text } : {})
+        };
+    }
+
+    /**
+     * 转换选项条件（requires / visible_if）→ 引擎的选项条件
+     * 每一项按字段区分类型：
+     *   { attribute, operator, value }   属性阈值（operator 缺省为 ">="）
+     *   { flag, operator, value }        剧情标记
+     *   { item, count }                  持有物品
+     *   { choice } / { event }           之前选过某个选项 / 经历过某个事件
+     *   { statistic, operator, value }   本局统计
+     *   { npc, operator, value }         NPC 好感度
+     * 任意一项都可以加 label，覆盖界面上自动生成的说明
+     */
+    convertRequirements(requirements) {
+        if (!Array.isArray(requirements)) return [];
+        return requirements.map(r => {
+            let condition;
+            if (r.attribute !== undefined) {
+                condition = { type: 'attribute', params: { attribute: r.attribute, operator: r.operator || '>=', value: r.value } };
+            } else if (r.flag !== undefined) {
+                condition = this.convertFlagConditions([r])[0];
+            } else if (r.item !== undefined) {
+                condition = { type: 'item', params: { item: r.item, count: r.count !== undefined ? r.count : 1 } };
+            } else if (r.choice !== undefined || r.event !== undefined) {
+                condition = { type: 'history', params: { id: r.choice !== undefined ? r.choice : r.event } };
+            } else if (r.statistic !== undefined) {
+                condition = this.convertStatisticConditions([r])[0];
+            } else if (r.npc !== undefined) {
+                condition = this.convertAffinityConditions([r])[0];
+            } else {
+                return null;
+            }
+            return r.label ? { ...condition, label: r.label } : condition;
+        }).filter(Boolean);
+    }
+
+    /**
+     * 转换语义标签：写 "meal" 或 { "tag": "red_envelope_given", "count": 3 }
+     */
+    convertTags(tags) {
+        return tags.map(t => typeof t === 'string'
+            ? { tag: t, count: 1 }
+            : { tag: t.tag, count: t.count !== undefined ? t.count : 1 }
+        );
+    }
+
+    /**
+     * 转换统计条件 [{ statistic, operator, value }] → 事件触发条件
+     */
+    convertStatisticConditions(conditions) {
+        if (!Array.isArray(conditions)) return [];
+        return conditions.map(c => ({
+            type: 'statistic',
+            params: { statistic: c.statistic, operator: c.operator, value: c.value }
+        }));
+    }
+
+    /**
+     * 转换好感度条件 [{ npc, operator, value }] → 事件触发条件
+     */
+    convertAffinityConditions(conditions) {
+        if (!Array.isArray(conditions)) return [];
+        return conditions.map(c => ({
+            type: 'affinity',
+            params: { npc: c.npc, operator: c.operator, value: c.value }
+        }));
+    }
+
+    /**
+     * 转换选项的好感度变化 { er_jiu: -10 } → 引擎的 affinity 效果
+     */
+    convertAffinityEffects(affinity) {
+        if (!affinity || typeof affinity !== 'object') return [];
+        return Object.entries(affinity)
+            .filter(([, value]) => value !== 0)
+            .map(([npc, value]) => ({ type: 'affinity', npc, value }));
+    }
+
+    /**
+     * 转换选项的物品操作
+     * [{ item, action: 'grant'|'consume', count }] → 引擎的 item 效果
+     */
+    convertItemEffects(items) {
+        if (!Array.isArray(items)) return [];
+        return items.map(i => ({
+            type: 'item',
+            item: i.item,
+            action: i.action || 'grant',
+            count: i.count !== undefined ? i.count : 1
+        }));
+    }
+
+    /**
+     * 转换物品条件 [{ item, count }] → 选项可用条件
+     * 会消耗物品的选项自动要求持有足够数量
+     */
+    convertItemConditions(conditions, items) {
+        const required = new Map();
+        for (const c of Array.isArray(conditions) ? conditions : []) {
+            required.set(c.item, Math.max(required.get(c.item) || 0, c.count !== undefined ? c.count : 1));
+        }
+        for (const i of this.convertItemEffects(items)) {
+            if (i.action === 'consume') {
+                required.set(i.item, Math.max(required.get(i.item) || 0, i.count));
+            }
+        }
+        return [...required].map(([item, count]) => ({
+            type: 'item',
+            params: { item, count }
+        }));
+    }
+
+    /**
+     * 转换选项的标记写操作
+     * [{ flag, action: 'set'|'increment'|'clear', value }] → 引擎的 flag 效果
+     */
+    convertFlagEffects(flags) {
+        if (!Array.isArray(flags)) return [];
+        return flags.map(f => ({
+            type: 'flag',
+            flag: f.flag,
+            action: f.action || 'set',
+            value: f.value
+        }));
+    }
+
+    /**
+     * 转换标记条件 [{ flag, operator, value }] → 事件触发/选项可用条件
+     */
+    convertFlagConditions(conditions) {
+        if (!Array.isArray(conditions)) return [];
+        return conditions.map(c => ({
+            type: 'flag',
+            params: { flag: c.flag, operator: c.operator, value: c.value }
         }));
     }
 
@@ -1882,6 +4716,7 @@ class Game {
                 title: e.ending_name || '结局',
                 description: e.description || '',
                 category: categoryMap[type] || type,
+                type,
                 icon: e.icon || '🎊',
                 priority: e.priority || 0,
                 characterId: e.character_id || e.characterId || null,
@@ -1927,12 +4762,18 @@ class Game {
 
         if (Array.isArray(conditions)) {
             return conditions.map(c => ({
-                conditions: (c.conditions || []).map(cond => ({
-                    type: 'attribute',
-                    attribute: cond.attribute,
-                    operator: cond.operator || '>=',
-                    value: cond.value
-                }))
+                conditions: (c.conditions || []).map(cond => cond.flag !== undefined
+                    ? { type: 'flag_set', flag: cond.flag, operator: cond.operator, value: cond.value }
+                    : cond.statistic !== undefined
+                    ? { type: 'statistic', statistic: cond.statistic, operator: cond.operator, value: cond.value }
+                    : cond.npc !== undefined
+                    ? { type: 'affinity', npc: cond.npc, operator: cond.operator, value: cond.value }
+                    : {
+                        type: 'attribute',
+                        attribute: cond.attribute,
+                        operator: cond.operator || '>=',
+                        value: cond.value
+                    })
             }));
         }
 
@@ -1961,6 +4802,33 @@ class Game {
                 }
             }
 
+            for (const cond of Array.isArray(conditions.flags) ? conditions.flags : []) {
+                conditionList.push({
+                    type: 'flag_set',
+                    flag: cond.flag,
+                    operator: cond.operator,
+                    value: cond.value
+                });
+            }
+
+            for (const cond of Array.isArray(conditions.statistics) ? conditions.statistics : []) {
+                conditionList.push({
+                    type: 'statistic',
+                    statistic: cond.statistic,
+                    operator: cond.operator,
+                    value: cond.value
+                });
+            }
+
+            for (const cond of Array.isArray(conditions.affinity) ? conditions.affinity : []) {
+                conditionList.push({
+                    type: 'affinity',
+                    npc: cond.npc,
+                    operator: cond.operator,
+                    value: cond.value
+                });
+            }
+
             if (conditionList.length === 0) return [];
 
             return [{ conditions: conditionList }];
@@ -2010,14 +4878,7 @@ class Game {
      * 获取时段索引
      */
     getPeriodIndex(timeSlot) {
-        const map = {
-            'morning': [0],
-            'noon': [1],
-            'afternoon': [1],
-            'evening': [2],
-            'night': [2]
-        };
-        return map[timeSlot] || [0, 1, 2];
+        return TIME_SLOT_PERIODS[timeSlot] || [0, 1, 2];
     }
 
     /**
@@ -2685,6 +5546,114 @@ class Game {
         ];
     }
 
+    /**
+     * 使用已解析的 JSON 数据初始化（不依赖 fetch，供 Node 模拟器等无界面环境使用）
+     * @param {Object} raw - { characters, commonEvents, characterEvents, endings, achievements, items, npcs }，各项为对应 JSON 文件的原始内容
+     */
+    applyGameData(raw) {
+        this.rawData = raw;
+        this.characters = raw.characters?.characters || [];
+        this.eventData = [
+            ...this.convertCommonEvents(raw.commonEvents?.events || []),
+            ...this.convertCharacterEvents(raw.characterEvents?.events || [])
+        ];
+        this.endingData = this.convertEndings(raw.endings?.endings || []);
+        this.items = raw.items?.items || [];
+        this.npcs = raw.npcs?.npcs || [];
+        this.achievements.loadAchievements(raw.achievements?.achievements || []);
+
+        this.events.loadEvents(this.eventData);
+        this.events.loadItems(this.items);
+        this.events.loadNpcs(this.npcs);
+        this.endings.loadNpcs(this.npcs);
+        this.endings.loadEndings(this.endingData);
+        this.saves.loadCharacters(this.characters);
+    }
+
+    // ============================================
+    // 规则流程（不涉及界面）
+    // ============================================
+
+    /**
+     * 这几个方法只推进规则、不碰 DOM。
+     * 浏览器里的 makeChoice/generateEvent 和 Node 里的批量模拟器都走这里，保证两边结果一致。
+     */
+
+    /**
+     * 抽取下一个事件并设为当前事件
+     * @returns {Object}
+     */
+    drawNextEvent() {
+        // 多段事件的下一段在同一时段内接着出
+        const node = this.state.nextEventNode;
+        this.state.nextEventNode = null;
+        const event = (node && this.events.getEventNode({ id: node.eventId }, node.nodeId)) ||
+            this.events.getNextEvent();
+        this.state.currentEvent = event;
+        return event;
+    }
+
+    /**
+     * 结算当前事件的一次选择：应用效果 → 记录事件 → 检查成就
+     * @param {number} choiceIndex - 选择索引
+     * @returns {Object|null} processChoice 的结果，附带 newAchievements（本次新达成的成就）
+     */
+    resolveChoice(choiceIndex) {
+        const event = this.state.currentEvent;
+        if (!event) return null;
+
+        const result = this.events.processChoice(event, choiceIndex);
+        if (!result) return null;
+
+        if (result.nextNode) {
+            this.state.nextEventNode = { eventId: event.id, nodeId: result.nextNode };
+        }
+
+        // 触发成就判断（方案A：在选择后、应用效果后）
+        result.newAchievements = [];
+        if (this.achievements && result.effectResults && result.effectResults.length > 0) {
+            for (const r of result.effectResults) {
+                const newly = this.achievements.checkByAttribute(r.attribute, r.newValue, r.oldValue);
+                result.newAchievements.push(...newly);
+            }
+        }
+        result.newAchievements.push(...this.achievements.checkAll('choice'));
+
+        return result;
+    }
+
+    /**
+     * 选择结算后推进时间
+     * @param {Object} result - resolveChoice 的结果
+     * @returns {{ended: boolean, isNewDay: boolean, newAchievements: Array}} ended 为 true 表示应进入结局
+     */
+    advanceAfterChoice(result) {
+        const outcome = result && result.specialOutcome;
+        if (outcome && (outcome.type === 'game_over' || outcome.type === 'ending_trigger')) {
+            return { ended: true, isNewDay: false, newAchievements: [] };
+        }
+
+        // 多段事件还没结束：先不推进时间
+        if (result && result.nextNode) {
+            return { ended: false, isNewDay: false, newAchievements: [] };
+        }
+
+        const isNewDay = this.state.advanceTime();
+        const ended = this.state.isGameOver();
+        const newAchievements = isNewDay && !ended ? this.achievements.checkAll('day') : [];
+        return { ended, isNewDay, newAchievements };
+    }
+
+    /**
+     * 结束本局：判定结局并检查结局类成就
+     * @returns {{ending: Object, newAchievements: Array}}
+     */
+    concludeRun() {
+        const ending = this.endings.determineEnding();
+        const newAchievements = this.achievements.checkAll('ending', { ending });
+        return { ending, newAchievements };
+    }
+
     // ============================================
     // UI 相关方法
     // ============================================
@@ -2732,7 +5701,11 @@ class Game {
      * 返回上一页
      */
     goBack() {
-        if (this.state.currentScreen === 'achievements') {
+        if (this.state.currentScreen === 'replay') {
+            this.switchScreen(this.uiState.replayReturnScreen || 'start-screen');
+            return;
+        }
+        if (['achievements', 'endings', 'leaderboard'].includes(this.state.currentScreen)) {
             this.switchScreen('start-screen');
             return;
         }
@@ -2751,7 +5724,9 @@ class Game {
         const grid = document.getElementById('character-grid');
         if (!grid) return;
 
+        const collection = this.getEndingCollection();
         grid.innerHTML = this.characters.map(char => {
+            const progress = this.getEndingProgress(char.id, collection);
             const avatarHtml = char.avatar && char.avatar.endsWith('.webp') 
                 ? `<img src="${char.avatar}" alt="${char.name}" class="w-12 h-12 rounded-full object-cover border-2 border-black">`
                 : `<div class="w-12 h-12 rounded-full bg-gray-200 flex items-center justify-center text-2xl border-2 border-black">${char.avatar || '👤'}</div>`;
@@ -2767,6 +5742,7 @@ class Game {
                     <div class="character-card-name">${char.name}</div>
                     <div class="character-card-role">${char.identity || char.title || '普通角色'}</div>
                 </div>
+                ${progress.total > 0 ? `<span class="character-ending-badge ${progress.reached === progress.total ? 'complete' : ''}">结局 ${progress.reached}/${progress.total}</span>` : ''}
             </button>
         `}).join('');
     }
@@ -2851,17 +5827,43 @@ class Game {
         const character = this.characters.find(c => c.id === this.uiState.selectedCharacterId);
         if (!character) return;
 
-        this.startGame(character);
+        this.startGame(character, this.getSeedFromUrl());
+    }
+
+    /**
+     * 是否为开发模式（地址栏带 ?dev=1）
+     * @returns {boolean}
+     */
+    isDevMode() {
+        if (typeof window === 'undefined' || !window.location) return false;
+        return new URLSearchParams(window.location.search).get('dev') === '1';
+    }
+
+    /**
+     * 读取地址栏中的 ?seed= 参数（用于复现玩家反馈的对局）
+     * @returns {string|undefined}
+     */
+    getSeedFromUrl() {
+        if (typeof window === 'undefined' || !window.location) return undefined;
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed || undefined;
     }
 
     /**
      * 开始游戏
      * @param {Object} character - 选择的角色
+     * @param {number|string} [seed] - 随机种子，不传则随机生成
      */
-    startGame(character) {
+    startGame(character, seed) {
         // 初始化状态 → 更新界面 → 生成第一条事件
         // 初始化游戏状态
-        this.state.initNewGame(character);
+        // 铁人模式需要一个空槽放本局存档，不能悄悄覆盖已有存档
+        if (this.uiState.ironmanEnabled && this.saves.findEmptySlot() === -1) {
+            this.showNotification('存档槽已满，请先删除一个存档再开始铁人模式');
+            return;
+        }
+        this.state.initNewGame(character, seed);
+        this.state.meta.ironman = !!this.uiState.ironmanEnabled;
 
         // 更新UI
         this.updateDayDisplay();
@@ -2873,8 +5875,11 @@ class Game {
         if (this.achievements && this.achievements.getAll().length > 0) {
             this.achievements.silentScanAllAttributes();
         }
+        this.recordAttributeRecords();
 
-        this.showNotification(`选择了${character.name}，游戏开始！`);
+        this.showNotification(this.state.meta.ironman
+            ? `选择了${character.name}，铁人模式开始！`
+            : `选择了${character.name}，游戏开始！`);
     }
 
     /**
@@ -2922,6 +5927,77 @@ class Game {
                 statValue.textContent = this.formatAttributeValue(key, value);
             }
         }
+
+        this.renderInventory();
+    }
+
+    /**
+     * 假期回顾中的本局统计（红包、饭局、亲戚、牌局）
+     * @returns {string}
+     */
+    renderHolidayStats() {
+        const stats = this.state.statistics || {};
+        const rows = Object.values(OPTION_TAG_STATISTICS).map(key => `
+            <li class="holiday-stat">
+                <span>${STATISTIC_NAMES[key]}</span>
+                <span class="holiday-stat-value">${stats[key] || 0}</span>
+            </li>
+        `).join('');
+        return `<ul class="holiday-stats mb-2">${rows}</ul>`;
+    }
+
+    /**
+     * 获取物品信息（目录中没有时用ID兜底）
+     * @param {string} itemId - 物品ID
+     * @returns {Object}
+     */
+    getItem(itemId) {
+        return this.items.find(i => i.id === itemId) || { id: itemId, name: itemId, icon: '📦', description: '' };
+    }
+
+    /**
+     * 获取 NPC 信息（名册中没有时用ID兜底）
+     * @param {string} npcId - NPC ID
+     * @returns {Object}
+     */
+    getNpc(npcId) {
+        return this.npcs.find(n => n.id === npcId) || { id: npcId, name: npcId, avatar: '👤', description: '' };
+    }
+
+    /**
+     * 渲染背包面板
+     */
+    renderInventory() {
+        const list = document.getElementById('inventory-list');
+        if (!list) return;
+
+        const entries = Object.entries(this.state.inventory || {}).filter(([, count]) => count > 0);
+        if (entries.length === 0) {
+            list.innerHTML = '<span class="text-sm font-black text-gray-400">空空如也</span>';
+            return;
+        }
+
+        list.innerHTML = entries.map(([itemId, count]) => {
+            const item = this.getItem(itemId);
+            return `
+                <span class="inventory-item" title="${this.escapeHtml(item.description || item.name)}">
+                    <span>${item.icon || '📦'}</span>
+                    <span>${this.escapeHtml(item.name)}</span>
+                    <span class="inventory-count">×${count}</span>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 转义 HTML 特殊字符
+     * 来自存档的文字（导入的文件可以随意改写）拼进 innerHTML 前要先经过这里
+     * @param {*} text - 文字
+     * @returns {string}
+     */
+    escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text ?? '').replace(/[&<>"']/g, ch => entities[ch]);
     }
 
     /**
@@ -2945,9 +6021,16 @@ class Game {
      */
     generateEvent() {
         // 由事件管理器挑选事件，并把内容渲染到页面
-        const event = this.events.getNextEvent();
-        this.state.currentEvent = event;
+        const event = this.drawNextEvent();
+        this.renderEvent(event);
+        this.saveIronmanProgress();
+    }
 
+    /**
+     * 把事件渲染到游戏界面（抽取新事件和读档恢复共用）
+     * @param {Object} event - 事件
+     */
+    renderEvent(event) {
         // 更新事件显示
         const sceneImage = document.getElementById('scene-image');
         const sceneLocation = document.getElementById('scene-location');
@@ -2972,9 +6055,16 @@ class Game {
                 : (event.location || '未知地点');
         }
         if (npcName) {
-            npcName.textContent = calendarData && calendarData.ji
-                ? `忌 ${calendarData.ji}`
-                : (event.npcName || '未知');
+            if (event.npcId) {
+                // 有名有姓的 NPC：显示头像、名字和当前好感度
+                const npc = this.getNpc(event.npcId);
+                const affinity = this.state.getAffinity(npc.id);
+                npcName.textContent = `${npc.avatar || '👤'} ${npc.name} · 好感 ${affinity > 0 ? '+' : ''}${affinity}`;
+            } else {
+                npcName.textContent = calendarData && calendarData.ji
+                    ? `忌 ${calendarData.ji}`
+                    : (event.npcName || '未知');
+            }
         }
         if (eventTitle) eventTitle.textContent = event.title || '新的事件';
         if (eventDescription) eventDescription.textContent = event.description || '无事发生...';
@@ -2987,7 +6077,10 @@ class Game {
                 //删除了选项中对玩家显示的数值效果文本，导致这里没有调用
                 //如需改回来可以看git版本：style: 移除选项按钮中未使用的效果文本显示
                 const disabledClass = option.available ? '' : 'opacity-50 cursor-not-allowed';
-                const unavailableTip = option.available ? '' : `title="${option.unavailableReason}"`;
+                // 读档恢复的事件来自存档快照，文字要转义
+                const reason = this.escapeHtml(option.unavailableReason);
+                const unavailableTip = option.available ? '' : `title="${reason}"`;
+                const lockedReason = option.available ? '' : `<span class="choice-locked-reason block">🔒 ${reason}</span>`;
                 const btnNumber = index + 1;
 
                 return `
@@ -2997,7 +6090,8 @@ class Game {
                             ${option.available ? '' : 'disabled'}>
                         <span class="choice-number">${btnNumber}</span>
                         <div class="flex-1">
-                            <span class="choice-text block">${option.text}</span>
+                            <span class="choice-text block">${this.escapeHtml(option.text)}</span>
+                            ${lockedReason}
                         </div>
                     </button>
                 `;
@@ -3039,47 +6133,61 @@ class Game {
         return Math.max(0, Math.min(1, percentage));
     }
 
-    buildRadarChart(attributes) {
+    /**
+     * 雷达图几何：轴端点、网格多边形、属性多边形与标签位置
+     * SVG（buildRadarChart）和分享图（drawShareCard）共用这一套坐标。
+     * @param {Object} attributes - 属性值
+     * @param {number} size - 画布边长
+     * @param {number} radius - 雷达半径
+     * @param {number} [levels=4] - 网格层数
+     * @returns {Object} { order, center, axisPoints, gridLevels, valuePoints, labels }
+     */
+    getRadarGeometry(attributes, size, radius, levels = 4) {
         const order = ['deposit', 'weight', 'face', 'mood', 'health', 'luck'];
-        const size = 220;
         const center = size / 2;
-        const radius = 70;
-        const levels = 4;
         const angles = order.map((_, i) => (Math.PI * 2 * i) / order.length - Math.PI / 2);
+        const pointAt = (angle, r) => ({
+            x: center + r * Math.cos(angle),
+            y: center + r * Math.sin(angle)
+        });
 
-        const axisPoints = angles.map(angle => ({
-            x: center + radius * Math.cos(angle),
-            y: center + radius * Math.sin(angle)
-        }));
-
+        const axisPoints = angles.map(angle => pointAt(angle, radius));
         const valuePoints = angles.map((angle, i) => {
             const attr = order[i];
-            const percent = this.getRadarPercentage(attr, attributes[attr]);
-            const r = radius * percent;
-            return `${center + r * Math.cos(angle)},${center + r * Math.sin(angle)}`;
-        }).join(' ');
-
-        const gridPolygons = Array.from({ length: levels }, (_, levelIndex) => {
+            return pointAt(angle, radius * this.getRadarPercentage(attr, attributes[attr]));
+        });
+        const gridLevels = Array.from({ length: levels }, (_, levelIndex) => {
             const level = (levelIndex + 1) / levels;
-            const points = angles.map(angle => {
-                const r = radius * level;
-                return `${center + r * Math.cos(angle)},${center + r * Math.sin(angle)}`;
-            }).join(' ');
-            return `<polygon class="radar-grid" points="${points}"></polygon>`;
+            return angles.map(angle => pointAt(angle, radius * level));
+        });
+        const labels = axisPoints.map((point, i) => {
+            const offset = 14;
+            const dx = point.x > center + 2 ? offset : point.x < center - 2 ? -offset : 0;
+            const dy = point.y > center + 2 ? offset : point.y < center - 2 ? -offset : 0;
+            const anchor = point.x > center + 2 ? 'start' : point.x < center - 2 ? 'end' : 'middle';
+            return { attribute: order[i], x: point.x + dx, y: point.y + dy, anchor };
+        });
+
+        return { order, center, axisPoints, gridLevels, valuePoints, labels };
+    }
+
+    buildRadarChart(attributes) {
+        const size = 220;
+        const { center, axisPoints, gridLevels, valuePoints, labels: labelPositions } =
+            this.getRadarGeometry(attributes, size, 70);
+        const toPoints = points => points.map(p => `${p.x},${p.y}`).join(' ');
+
+        const gridPolygons = gridLevels.map(points => {
+            return `<polygon class="radar-grid" points="${toPoints(points)}"></polygon>`;
         }).join('');
 
         const axes = axisPoints.map(point => {
             return `<line class="radar-axis" x1="${center}" y1="${center}" x2="${point.x}" y2="${point.y}"></line>`;
         }).join('');
 
-        const labels = axisPoints.map((point, i) => {
-            const attr = order[i];
-            const name = ATTRIBUTE_NAMES[attr] || attr;
-            const offset = 14;
-            const dx = point.x > center + 2 ? offset : point.x < center - 2 ? -offset : 0;
-            const dy = point.y > center + 2 ? offset : point.y < center - 2 ? -offset : 0;
-            const anchor = point.x > center + 2 ? 'start' : point.x < center - 2 ? 'end' : 'middle';
-            return `<text class="radar-label" x="${point.x + dx}" y="${point.y + dy}" text-anchor="${anchor}" dominant-baseline="middle">${name}</text>`;
+        const labels = labelPositions.map(label => {
+            const name = ATTRIBUTE_NAMES[label.attribute] || label.attribute;
+            return `<text class="radar-label" x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" dominant-baseline="middle">${name}</text>`;
         }).join('');
 
         return `
@@ -3087,7 +6195,7 @@ class Game {
                 <svg class="radar-chart" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
                     ${gridPolygons}
                     ${axes}
-                    <polygon class="radar-area" points="${valuePoints}"></polygon>
+                    <polygon class="radar-area" points="${toPoints(valuePoints)}"></polygon>
                     ${labels}
                 </svg>
             </div>
@@ -3100,73 +6208,88 @@ class Game {
      */
     makeChoice(choiceIndex) {
         // 玩家选择后：应用效果 → 记录事件 → 推进时间 → 生成下一事件
-        const event = this.state.currentEvent;
-        if (!event) return;
-
-        const result = this.events.processChoice(event, choiceIndex);
+        const result = this.resolveChoice(choiceIndex);
         if (!result) return;
 
         // 更新UI
         this.updateStatsDisplay();
+        this.recordAttributeRecords();
 
-        // 触发成就判断（方案A：在选择后、应用效果后）
-        if (this.achievements && result.effectResults && result.effectResults.length > 0) {
-            for (const r of result.effectResults) {
-                const newly = this.achievements.checkByAttribute(r.attribute, r.newValue);
-                if (newly && newly.length > 0) {
-                    for (const a of newly) {
-                        this.showAchievementToast(`成就达成：${a.name}`);
-                    }
-                }
-            }
+        for (const a of result.newAchievements) {
+            this.showAchievementToast(`成就达成：${a.name}`);
         }
 
-        // 显示效果提示
-        if (result.effectResults && result.effectResults.length > 0) {
-            const effectHtml = result.effectResults
-                .map(r => {
-                    const sign = r.change >= 0 ? '+' : '';
-                    const valueText = `${sign}${Math.round(r.change)}`;
-                    const className = r.change === 0 ? 'effect-neutral' : (r.change > 0 ? 'effect-positive' : 'effect-negative');
-                    return `${ATTRIBUTE_NAMES[r.attribute]}<span class="${className}">${valueText}</span>`;
-                })
-                .join('，');
-            this.showNotificationHtml(effectHtml);
+        // 显示效果提示（属性变化 + 物品变化 + 好感度变化）
+        const effectParts = (result.effectResults || []).map(r => {
+            const sign = r.change >= 0 ? '+' : '';
+            const valueText = `${sign}${Math.round(r.change)}`;
+            const className = r.change === 0 ? 'effect-neutral' : (r.change > 0 ? 'effect-positive' : 'effect-negative');
+            return `${ATTRIBUTE_NAMES[r.attribute]}<span class="${className}">${valueText}</span>`;
+        });
+        for (const r of result.itemResults || []) {
+            const item = this.getItem(r.item);
+            const className = r.change > 0 ? 'effect-positive' : 'effect-negative';
+            effectParts.push(`${item.icon || ''}${item.name}<span class="${className}">${r.change > 0 ? '+' : ''}${r.change}</span>`);
+        }
+        for (const r of result.affinityResults || []) {
+            const npc = this.getNpc(r.npc);
+            const className = r.change > 0 ? 'effect-positive' : 'effect-negative';
+            effectParts.push(`${npc.name}好感<span class="${className}">${r.change > 0 ? '+' : ''}${r.change}</span>`);
+        }
+        if (effectParts.length > 0) {
+            this.showNotificationHtml(effectParts.join('，'));
         }
 
-        const finishChoice = () => {
-            if (result.specialOutcome) {
-                if (result.specialOutcome.type === 'game_over' || result.specialOutcome.type === 'ending_trigger') {
-                    this.showEnding();
-                    return;
-                }
-            }
+        if (result.feedback) {
+            // 结果弹窗关闭前存档也能恢复到这一刻，不会重新选一次
+            this.state.pendingFeedback = {
+                message: result.feedback,
+                nextNode: result.nextNode || null,
+                specialOutcome: result.specialOutcome || null
+            };
+            this.saveIronmanProgress();
+            this.showFeedback(result.feedback, () => this.finishChoice(result));
+            return;
+        }
+
+        this.finishChoice(result);
+    }
 
-            const isNewDay = this.state.advanceTime();
+    /**
+     * 选择结算完（结果弹窗关闭后）推进时间，进入结局或下一个事件
+     * @param {Object} result - resolveChoice 的结果（读档恢复时只有 nextNode / specialOutcome）
+     */
+    finishChoice(result) {
+        this.state.pendingFeedback = null;
+        const { ended, isNewDay, newAchievements } = this.advanceAfterChoice(result);
+        for (const a of newAchievements) {
+            this.showAchievementToast(`成就达成：${a.name}`);
+        }
 
-            if (this.state.isGameOver()) {
-                this.showEnding();
-                return;
-            }
+        if (ended) {
+            this.showEnding();
+            return;
+        }
 
-            this.updateDayDisplay();
+        this.updateDayDisplay();
 
-            if (isNewDay) {
-                const dayName = GAME_CONFIG.DAY_NAMES[this.state.progress.currentDay - 1];
-                this.showNotification(`进入${dayName}`);
-            }
+        if (isNewDay) {
+            const dayName = GAME_CONFIG.DAY_NAMES[this.state.progress.currentDay - 1];
+            this.showNotification(`进入${dayName}`);
+        }
 
-            setTimeout(() => {
-                this.generateEvent();
-            }, 300);
-        };
+        setTimeout(() => {
+            this.generateEvent();
+        }, 300);
+    }
 
-        if (result.feedback) {
-            this.showFeedback(result.feedback, finishChoice);
-            return;
+    /**
+     * 铁人模式：每次进度变化都覆盖本局的存档
+     */
+    saveIronmanProgress() {
+        if (this.state.meta.ironman && this.state.character) {
+            this.saves.autoSave();
         }
-
-        finishChoice();
     }
 
     /**
@@ -3174,7 +6297,20 @@ class Game {
      */
     showEnding() {
         // 根据当前属性与历史记录计算结局，并更新结局界面
-        const ending = this.endings.determineEnding(this.state.attributes, this.state.character?.initial_attributes);
+        this.recordCompletedCharacter(this.state.character?.id);
+        const { ending, newAchievements } = this.concludeRun();
+        this.lastEnding = ending;
+        this.recordEndingReached(ending);
+
+        // 铁人模式：结局后删掉本局存档，不能读档重打最后几步
+        if (this.state.meta.ironman) {
+            const slotIndex = this.saves.findRunSlot(this.state.meta.startTime);
+            if (slotIndex !== -1) this.saves.deleteSave(slotIndex);
+        }
+        this.recordRun(ending);
+        for (const a of newAchievements) {
+            this.showAchievementToast(`成就达成：${a.name}`);
+        }
 
         // 更新结局界面
         const endingTitle = document.getElementById('ending-title');
@@ -3204,6 +6340,7 @@ class Game {
             let storyHtml = '';
             if (history && history.length > 0) {
                 storyHtml = `<p class="mb-2">这个春节，你经历了${history.length}个事件。</p>`;
+                storyHtml += this.renderHolidayStats();
                 if (ending.story) {
                     storyHtml += `<p>${ending.story}</p>`;
                 }
@@ -3213,6 +6350,12 @@ class Game {
             endingStory.innerHTML = storyHtml;
         }
 
+        // 结局解析：命中的条件组 + 差一点达成的结局
+        const endingExplanation = document.getElementById('ending-explanation');
+        if (endingExplanation) {
+            endingExplanation.innerHTML = this.renderEndingExplanation(ending);
+        }
+
         // 成就数量展示（仅当大于0时）
         const achievementBox = document.getElementById('ending-achievements-box');
         const achievementCount = document.getElementById('ending-achievements-count');
@@ -3226,6 +6369,12 @@ class Game {
             }
         }
 
+        // 本局种子（玩家反馈问题时附上即可复现）
+        const endingSeed = document.getElementById('ending-seed');
+        if (endingSeed) {
+            endingSeed.textContent = `本局种子：${this.state.random.seed}`;
+        }
+
         // 显示分数
         if (ending.score !== undefined) {
             this.showNotification(`最终得分: ${ending.score}`);
@@ -3234,6 +6383,226 @@ class Game {
         this.switchScreen('ending-screen');
     }
 
+    /**
+     * 生成结局解析 HTML
+     * @param {Object} ending - determineEnding 的结果
+     * @returns {string}
+     */
+    renderEndingExplanation(ending) {
+        let html = `<p class="font-black">✅ ${ending.explanation?.text || '没有满足任何特殊结局的条件'}</p>`;
+        const misses = ending.nearMisses || [];
+        if (misses.length > 0) {
+            html += '<p class="font-black text-gray-500 mt-2">差一点就能达成：</p>';
+            html += misses.map(m => `<p>${m.hidden ? '🔮' : '🎯'} ${m.text}</p>`).join('');
+        }
+        return html;
+    }
+
+    /**
+     * 生成分享图并下载为 PNG
+     */
+    async downloadShareCard() {
+        if (!this.lastEnding) return;
+        try {
+            const canvas = await this.drawShareCard(this.lastEnding);
+            this.triggerDownload(
+                canvas.toDataURL('image/png'),
+                `春节模拟器-${this.state.character?.name || ''}-${this.lastEnding.title}.png`
+            );
+        } catch (e) {
+            console.error('生成分享图失败:', e);
+            this.showNotification('生成分享图失败，请重试');
+        }
+    }
+
+    /**
+     * 触发浏览器下载
+     * @param {string} href - 下载地址（data URL 或 blob URL）
+     * @param {string} filename - 文件名
+     */
+    triggerDownload(href, filename) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * 读取本地图片；加载失败时返回 null（由调用方退回到 emoji）
+     * @param {string} src - 图片地址
+     * @returns {Promise<HTMLImageElement|null>}
+     */
+    loadImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => resolve(null);
+            image.src = src;
+        });
+    }
+
+    /**
+     * 把结局画到 canvas 上：标题、类别图标、角色头像、最终属性雷达、得分与成就数
+     * 只使用系统字体和 images/ 下的本地图片，离线也能生成。
+     * @param {Object} ending - determineEnding 的结果
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async drawShareCard(ending) {
+        const width = 720;
+        const font = '"PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", "Noto Sans SC", sans-serif';
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        const ctx = canvas.getContext('2d');
+
+        // 先按标题行数排好纵向布局，再定画布高度：标题每多一行，雷达、得分框和种子整体下移
+        ctx.font = `900 44px ${font}`;
+        const titleLines = this.wrapCanvasText(ctx, ending.title, width - 160);
+        const radarSize = 400;
+        const radarTop = 420 + titleLines.length * 54 - 10;
+        const footerY = radarTop + radarSize + 40;
+        const height = footerY + 136;
+        canvas.height = height;
+
+        // 背景：红底 + 白色漫画框
+        ctx.fillStyle = '#d42c2c';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(32, 32, width - 64, height - 64);
+        ctx.lineWidth = 8;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeRect(32, 32, width - 64, height - 64);
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = `900 24px ${font}`;
+        ctx.fillText('春节模拟器 · 终结报告', width / 2, 80);
+
+        // 角色头像：图片头像裁成圆形，emoji 头像直接绘制
+        const character = this.state.character;
+        const avatarX = width / 2;
+        const avatarY = 170;
+        const avatarRadius = 56;
+        const avatar = character?.avatar || '👤';
+        const isImageAvatar = /\.(webp|png|jpe?g)$/.test(avatar);
+        const avatarImage = isImageAvatar ? await this.loadImage(avatar) : null;
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(avatarX, avatarY, avatarRadius, 0, Math.PI * 2);
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fill();
+        ctx.clip();
+        if (avatarImage) {
+            ctx.drawImage(avatarImage, avatarX - avatarRadius, avatarY - avatarRadius, avatarRadius * 2, avatarRadius * 2);
+        } else {
+            ctx.font = `64px ${font}`;
+            ctx.fillStyle = '#000000';
+            ctx.fillText(isImageAvatar ? '👤' : avatar, avatarX, avatarY);
+        }
+        ctx.restore();
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#fbbf24';
+        ctx.beginPath();
+        ctx.arc(avatarX, avatarY, avatarRadius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#000000';
+        ctx.font = `900 28px ${font}`;
+        ctx.fillText(character?.name || '未知角色', width / 2, 256);
+
+        // 类别图标 + 结局标题（过长时换行）
+        ctx.font = `72px ${font}`;
+        ctx.fillText(ending.icon || this.endings.getCategoryIcon(ending.category), width / 2, 340);
+        ctx.fillStyle = '#d42c2c';
+        ctx.font = `900 44px ${font}`;
+        titleLines.forEach((line, i) => {
+            ctx.fillText(line, width / 2, 420 + i * 54);
+        });
+
+        // 最终属性雷达：与角色预览的 SVG 雷达同一套几何
+        const stats = ending.finalStats || this.state.attributes;
+        const radar = this.getRadarGeometry(stats, radarSize, 120);
+        const offsetX = (width - radarSize) / 2;
+        const tracePolygon = points => {
+            ctx.beginPath();
+            points.forEach((p, i) => {
+                const x = p.x + offsetX;
+                const y = p.y + radarTop;
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        };
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#e5e7eb';
+        for (const points of radar.gridLevels) {
+            tracePolygon(points);
+            ctx.stroke();
+        }
+        ctx.strokeStyle = '#d1d5db';
+        for (const point of radar.axisPoints) {
+            ctx.beginPath();
+            ctx.moveTo(radar.center + offsetX, radar.center + radarTop);
+            ctx.lineTo(point.x + offsetX, point.y + radarTop);
+            ctx.stroke();
+        }
+        tracePolygon(radar.valuePoints);
+        ctx.fillStyle = 'rgba(220, 38, 38, 0.35)';
+        ctx.fill();
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#dc2626';
+        ctx.stroke();
+        ctx.fillStyle = '#b91c1c';
+        ctx.font = `700 18px ${font}`;
+        for (const label of radar.labels) {
+            ctx.textAlign = label.anchor === 'middle' ? 'center' : label.anchor === 'start' ? 'left' : 'right';
+            const name = ATTRIBUTE_NAMES[label.attribute] || label.attribute;
+            const value = this.formatAttributeValue(label.attribute, stats[label.attribute]);
+            ctx.fillText(`${name} ${value}`, label.x + offsetX, label.y + radarTop);
+        }
+        ctx.textAlign = 'center';
+
+        // 得分 + 成就数
+        const achievementCount = this.state.achievementsUnlocked ? this.state.achievementsUnlocked.length : 0;
+        ctx.fillStyle = '#fbbf24';
+        ctx.fillRect(96, footerY - 44, width - 192, 88);
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeRect(96, footerY - 44, width - 192, 88);
+        ctx.fillStyle = '#000000';
+        ctx.font = `900 36px ${font}`;
+        ctx.fillText(`得分 ${ending.score}　·　成就 ${achievementCount}`, width / 2, footerY);
+
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = `700 18px ${font}`;
+        ctx.fillText(`本局种子：${this.state.random.seed}`, width / 2, height - 64);
+
+        return canvas;
+    }
+
+    /**
+     * 按最大宽度把文字拆成多行（中文逐字断行）
+     * @param {CanvasRenderingContext2D} ctx - 已设置好字体的画笔
+     * @param {string} text - 文字
+     * @param {number} maxWidth - 最大宽度
+     * @returns {Array<string>}
+     */
+    wrapCanvasText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        for (const char of String(text || '')) {
+            if (line && ctx.measureText(line + char).width > maxWidth) {
+                lines.push(line);
+                line = char;
+            } else {
+                line += char;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
     /**
      * 重新开始游戏
      */
@@ -3260,13 +6629,17 @@ class Game {
      */
     saveGame() {
         // 手动存档，使用 SaveManager 写入 localStorage
-        const slotIndex = this.saves.findEmptySlot();
+        if (this.state.meta.ironman) {
+            this.showNotification('铁人模式会自动存档，不能手动存档');
+            return;
+        }
+        // 空槽或最早的存档，铁人模式的存档不会被覆盖
+        const slotIndex = this.saves.findOverwritableSlot();
         if (slotIndex === -1) {
-            // 覆盖最早的存档
-            this.saves.createSave(0, '手动存档');
-        } else {
-            this.saves.createSave(slotIndex, '手动存档');
+            this.showNotification('没有可用的存档槽：其余存档都是进行中的铁人存档');
+            return;
         }
+        this.saves.createSave(slotIndex, '手动存档');
 
         this.renderSaveSlots();
         this.showNotification('游戏已保存！');
@@ -3277,13 +6650,30 @@ class Game {
      * @param {number} slotIndex - 存档槽索引
      */
     loadGame(slotIndex) {
-        // 读取存档后恢复界面，并继续生成事件
+        // 读取存档后恢复界面：存档时的事件原样显示，没有记录（旧存档）才抽新事件
+        // 铁人模式：只能读取本局最新的存档，也就是接着上次的进度继续
+        if (this.saves.isStaleIronmanSave(slotIndex)) {
+            this.showNotification('铁人模式下不能读取旧存档');
+            return;
+        }
         if (this.saves.loadSave(slotIndex)) {
             this.updateDayDisplay();
             this.updateStatsDisplay();
-            this.generateEvent();
+            if (this.state.currentEvent) {
+                this.renderEvent(this.state.currentEvent);
+            } else {
+                this.generateEvent();
+            }
             this.switchScreen('game-screen');
             this.showNotification('存档已读取！');
+
+            // 存档时结果弹窗还开着：重新弹出，关闭后照常推进
+            const pending = this.state.pendingFeedback;
+            if (pending) {
+                this.showFeedback(pending.message, () => this.finishChoice(pending));
+            }
+        } else {
+            this.showNotification('存档无法读取，可能来自更新版本的游戏');
         }
     }
 
@@ -3299,19 +6689,26 @@ class Game {
 
         container.innerHTML = saves.map((save, index) => {
             if (save && save.date) {
-                const charName = save.gameState?.character?.name || '未知角色';
+                const charName = this.escapeHtml(save.gameState?.character?.name || '未知角色');
                 const day = save.gameState?.progress?.currentDay || 1;
                 const period = save.gameState?.progress?.currentPeriod || 0;
+                const ironman = this.saves.isIronmanSave(index);
+                const loadButton = this.saves.isStaleIronmanSave(index)
+                    ? `<button class="btn btn-secondary btn-small" disabled title="铁人模式只能读取本局最新的存档">读取</button>`
+                    : `<button class="btn btn-primary btn-small" onclick="game.loadSave(${index})">读取</button>`;
 
                 return `
                     <div class="save-slot">
                         <div class="save-slot-number">${index + 1}</div>
                         <div class="save-info">
-                            <div class="save-date">${save.dateDisplay || save.date}</div>
-                            <div class="save-details">${charName} - 第${day}天 ${GAME_CONFIG.PERIOD_NAMES[period]}</div>
+                            <div class="save-date">${this.escapeHtml(save.dateDisplay || save.date)}</div>
+                            <div class="save-details">${charName} - 第${day}天 ${GAME_CONFIG.PERIOD_NAMES[period]}${ironman ? ' · 铁人' : ''}</div>
                         </div>
                         <div class="save-actions">
-                            <button class="btn btn-primary btn-small" onclick="game.loadSave(${index})">读取</button>
+                            ${loadButton}
+                            <button class="btn btn-secondary btn-small" onclick="game.toSaveReplay(${index})">回放</button>
+                            ${ironman ? '' : `<button class="btn btn-secondary btn-small" onclick="game.exportSave(${index})">导出</button>`}
+                            <button class="btn btn-secondary btn-small" onclick="game.importSaveToSlot(${index})">导入</button>
                             <button class="btn btn-secondary btn-small" onclick="game.deleteSave(${index})">删除</button>
                         </div>
                     </div>
@@ -3326,6 +6723,7 @@ class Game {
                         </div>
                         <div class="save-actions">
                             <button class="btn btn-secondary btn-small" disabled>读取</button>
+                            <button class="btn btn-secondary btn-small" onclick="game.importSaveToSlot(${index})">导入</button>
                             <button class="btn btn-secondary btn-small" disabled>删除</button>
                         </div>
                     </div>
@@ -3342,6 +6740,64 @@ class Game {
         this.loadGame(index);
     }
 
+    /**
+     * 导出存档为 .json 文件
+     * @param {number} index - 存档索引
+     */
+    exportSave(index) {
+        if (this.saves.isIronmanSave(index)) {
+            this.showNotification('铁人模式的存档不能导出');
+            return;
+        }
+        const data = this.saves.exportSave(index);
+        if (!data) return;
+
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+        const charName = this.saves.getSaveInfo(index)?.gameState?.character?.name || '存档';
+        this.triggerDownload(url, `春节模拟器-${charName}-存档${index + 1}.json`);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.showNotification('存档已导出！');
+    }
+
+    /**
+     * 选择要导入的存档文件，导入到指定存档槽
+     * @param {number} index - 存档索引
+     */
+    importSaveToSlot(index) {
+        if (this.saves.getSaveInfo(index) && !confirm('这个存档槽已有存档，导入会覆盖它，确定吗？')) {
+            return;
+        }
+        const input = document.getElementById('save-import-input');
+        if (!input) return;
+        this.uiState.importSlot = index;
+        input.value = '';
+        input.click();
+    }
+
+    /**
+     * 文件选择框回调：读取文件内容并导入
+     * @param {Event} e - change 事件
+     */
+    async handleSaveImport(e) {
+        const file = e.target.files && e.target.files[0];
+        const index = this.uiState.importSlot;
+        this.uiState.importSlot = null;
+        if (!file || index === null || index === undefined) return;
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('读取存档文件失败:', error);
+            this.showNotification('导入失败：无法读取文件');
+            return;
+        }
+
+        const result = this.saves.importSave(text, index);
+        this.renderSaveSlots();
+        this.showNotification(result.success ? result.message : `导入失败：${result.message}`);
+    }
+
     /**
      * 删除存档
      * @param {number} index - 存档索引
@@ -3380,9 +6836,20 @@ class Game {
      */
     showSettings() {
         const modal = document.getElementById('settings-modal');
+        const ironman = document.getElementById('setting-ironman');
+        if (ironman) ironman.checked = !!this.uiState.ironmanEnabled;
         if (modal) modal.classList.add('active');
     }
 
+    /**
+     * 铁人模式开关（从下一局开始生效）
+     * @param {boolean} enabled - 是否开启
+     */
+    setIronmanEnabled(enabled) {
+        this.uiState.ironmanEnabled = !!enabled;
+        this.saveSettings();
+    }
+
     /**
      * 关闭设置
      */
@@ -3425,11 +6892,344 @@ class Game {
         this.switchScreen('achievements-screen');
     }
 
+    toEndingGallery() {
+        this.renderEndingGallery();
+        this.switchScreen('endings-screen');
+    }
+
+    /**
+     * 渲染结局图鉴：按角色分组，组内按结局类型分栏
+     * 未达成的隐藏 / 特殊结局只显示剪影和 ???
+     */
+    renderEndingGallery() {
+        const container = document.getElementById('endings-gallery');
+        const stats = document.getElementById('endings-stats');
+        if (!container) return;
+
+        const collection = this.getEndingCollection();
+        const reachedCount = this.endingData.filter(e => collection[e.id]).length;
+        if (stats) {
+            stats.textContent = `已收集 ${reachedCount} / 总数 ${this.endingData.length}`;
+        }
+
+        const renderCard = ending => {
+            const entry = collection[ending.id];
+            const isSecret = ending.type === 'hidden' || ending.type === 'special';
+            if (!entry && isSecret) {
+                return `
+                    <div class="ending-card ending-card-silhouette achievement-secret">
+                        <div class="ending-card-icon">${ending.icon || '🔮'}</div>
+                        <div class="font-black">???</div>
+                        <div class="text-xs text-gray-500">${ENDING_TYPE_NAMES[ending.type]}</div>
+                    </div>
+                `;
+            }
+            if (!entry) {
+                return `
+                    <div class="ending-card ending-card-locked">
+                        <div class="ending-card-icon">🔒</div>
+                        <div class="font-black">${ending.title}</div>
+                        <div class="text-xs text-gray-500">尚未达成</div>
+                    </div>
+                `;
+            }
+            return `
+                <div class="ending-card">
+                    <div class="ending-card-icon">${ending.icon || this.endings.getCategoryIcon(ending.category)}</div>
+                    <div class="font-black">${ending.title}</div>
+                    <div class="text-xs text-gray-500">达成 ${entry.count} 次 · 首次 ${new Date(entry.firstReachedAt).toLocaleDateString('zh-CN')}</div>
+                </div>
+            `;
+        };
+
+        const groups = [
+            ...this.characters.map(c => ({ id: c.id, endings: this.endingData.filter(e => e.characterId === c.id) })),
+            { id: null, endings: this.endingData.filter(e => !e.characterId) }
+        ].filter(group => group.endings.length > 0);
+
+        container.innerHTML = groups.map(group => {
+            const reached = group.endings.filter(e => collection[e.id]).length;
+            const heading = group.id ? this.renderRoleBadge(group.id) : '<div class="font-black">通用结局</div>';
+            const columns = Object.keys(ENDING_TYPE_NAMES)
+                .map(type => ({ type, endings: group.endings.filter(e => (ENDING_TYPE_NAMES[e.type] ? e.type : 'normal') === type) }))
+                .filter(column => column.endings.length > 0)
+                .map(column => `
+                    <div class="ending-type-column">
+                        <div class="ending-type-name">${ENDING_TYPE_NAMES[column.type]}</div>
+                        ${column.endings.map(renderCard).join('')}
+                    </div>
+                `).join('');
+            return `
+                <section class="ending-gallery-group">
+                    <div class="flex items-center justify-between">
+                        ${heading}
+                        <span class="character-ending-badge">结局 ${reached}/${group.endings.length}</span>
+                    </div>
+                    <div class="ending-type-columns">${columns}</div>
+                </section>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 回放刚结束的这一局（从结局界面进入）
+     */
+    toReplay() {
+        this.showReplay(this.state.eventHistory, this.state.character, 'ending-screen');
+    }
+
+    /**
+     * 回放某个存档到存档时为止的经历（从存档界面进入）
+     * @param {number} index - 存档索引
+     */
+    toSaveReplay(index) {
+        const save = this.saves.getAllSaves()[index];
+        if (!save?.gameState) return;
+        this.showReplay(save.gameState.eventHistory, save.gameState.character, 'save-screen');
+    }
+
+    /**
+     * 渲染回放时间线：每天一章，章首用 CALENDAR_DISPLAY 的日历图
+     * @param {Array} history - 事件记录
+     * @param {Object} character - 角色
+     * @param {string} returnScreen - 返回时回到的界面
+     */
+    showReplay(history, character, returnScreen) {
+        this.uiState.replayReturnScreen = returnScreen;
+        const container = document.getElementById('replay-timeline');
+        const subtitle = document.getElementById('replay-subtitle');
+        if (subtitle) {
+            subtitle.textContent = `${character?.name || '未知角色'} · 共 ${(history || []).length} 次选择`;
+        }
+        if (container) {
+            const days = this.buildRunTimeline(history);
+            container.innerHTML = days.length === 0
+                ? '<p class="text-center text-gray-400 font-black py-8">这一局还没有做出任何选择</p>'
+                : days.map(day => `
+                    <section class="replay-day">
+                        <header class="replay-day-header">
+                            ${day.calendar?.image ? `<img src="${day.calendar.image}" alt="${day.dayName}" class="replay-day-image">` : ''}
+                            <div>
+                                <div class="text-2xl font-festive text-festive-red">${this.escapeHtml(day.dayName)}</div>
+                                ${day.calendar?.yi ? `<div class="text-xs text-gray-500">宜 ${day.calendar.yi}</div>` : ''}
+                            </div>
+                        </header>
+                        <ol class="replay-steps">
+                            ${day.steps.map(step => `
+                                <li class="replay-step">
+                                    <div class="text-xs font-black text-gray-500">${step.periodName}</div>
+                                    <div class="font-black">${this.escapeHtml(step.scene)} ${this.escapeHtml(step.title)}</div>
+                                    <div class="replay-choice">👉 ${this.escapeHtml(step.choiceText)}</div>
+                                    ${step.resultDesc ? `<div class="text-sm text-gray-700">${this.escapeHtml(step.resultDesc)}</div>` : ''}
+                                    ${this.renderReplayChanges(step.changes)}
+                                </li>
+                            `).join('')}
+                        </ol>
+                    </section>
+                `).join('');
+        }
+        this.switchScreen('replay-screen');
+    }
+
+    /**
+     * 回放中一步的属性变化，例如“👑面子 +5  😊心情 -3”
+     * @param {Object} changes - { attribute: delta }
+     * @returns {string}
+     */
+    renderReplayChanges(changes) {
+        const entries = Object.entries(changes || {}).filter(([, delta]) => delta !== 0);
+        if (entries.length === 0) return '';
+        return `<div class="replay-changes">${entries.map(([key, delta]) => {
+            const value = Math.round(delta * 10) / 10;
+            return `<span class="${value > 0 ? 'text-green-700' : 'text-festive-red'}">${ATTRIBUTE_ICONS[key] || ''}${this.escapeHtml(ATTRIBUTE_NAMES[key] || key)} ${value > 0 ? '+' : ''}${value.toLocaleString('zh-CN')}</span>`;
+        }).join('')}</div>`;
+    }
+
+    toLeaderboard() {
+        this.renderLeaderboard();
+        this.switchScreen('leaderboard-screen');
+    }
+
+    /**
+     * 排行榜筛选 / 排序
+     * @param {string} key - 'leaderboardCharacter' | 'leaderboardSort'
+     * @param {string} value - 角色ID（'all' 为全部）或排序方式
+     */
+    setLeaderboardOption(key, value) {
+        this.uiState[key] = value;
+        this.renderLeaderboard();
+    }
+
+    /**
+     * 把毫秒数写成“12分05秒”
+     * @param {number|null} ms - 毫秒
+     * @returns {string}
+     */
+    formatDuration(ms) {
+        if (typeof ms !== 'number') return '—';
+        const seconds = Math.round(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        return minutes > 0
+            ? `${minutes}分${String(seconds % 60).padStart(2, '0')}秒`
+            : `${seconds}秒`;
+    }
+
+    /**
+     * 渲染排行榜：各角色最高分 + 可筛选排序的对局历史
+     */
+    renderLeaderboard() {
+        const bestContainer = document.getElementById('leaderboard-best');
+        const runsContainer = document.getElementById('leaderboard-runs');
+        const characterFilter = document.getElementById('leaderboard-character');
+        const sortSelect = document.getElementById('leaderboard-sort');
+        if (!bestContainer || !runsContainer) return;
+
+        const history = this.getRunHistory();
+        const { leaderboardCharacter, leaderboardSort } = this.uiState;
+
+        if (characterFilter) {
+            characterFilter.innerHTML = '<option value="all">全部角色</option>' + this.characters
+                .map(c => `<option value="${c.id}">${c.name}</option>`)
+                .join('');
+            characterFilter.value = leaderboardCharacter;
+        }
+        if (sortSelect) sortSelect.value = leaderboardSort;
+
+        // 各角色最高分
+        const best = this.getBestRuns(history);
+        bestContainer.innerHTML = this.characters.map(c => {
+            const run = best.get(c.id);
+            return `
+                <div class="leaderboard-best-card ${run ? '' : 'opacity-50'}">
+                    ${this.renderRoleBadge(c.id)}
+                    <div class="leaderboard-score">${run ? run.score : '—'}</div>
+                    <div class="text-xs text-gray-500">${run ? run.endingTitle : '尚未通关'}</div>
+                </div>
+            `;
+        }).join('');
+
+        // 对局历史
+        const sorters = {
+            score: (a, b) => b.score - a.score,
+            recent: (a, b) => b.finishedAt - a.finishedAt,
+            duration: (a, b) => (a.durationMs ?? Infinity) - (b.durationMs ?? Infinity)
+        };
+        const runs = history
+            .filter(run => leaderboardCharacter === 'all' || run.characterId === leaderboardCharacter)
+            .sort(sorters[leaderboardSort] || sorters.score);
+
+        if (runs.length === 0) {
+            runsContainer.innerHTML = '<p class="text-center text-gray-400 font-black py-8">还没有完成过对局</p>';
+            return;
+        }
+
+        runsContainer.innerHTML = runs.map((run, index) => `
+            <div class="leaderboard-run">
+                <span class="leaderboard-rank">${index + 1}</span>
+                <div class="flex-1">
+                    <div class="font-black">${run.characterName} · ${run.endingTitle}</div>
+                    <div class="text-xs text-gray-500">
+                        ${new Date(run.finishedAt).toLocaleString('zh-CN')} · 用时 ${this.formatDuration(run.durationMs)} · 种子 ${run.seed}
+                    </div>
+                    <div class="text-xs text-gray-500">
+                        ${Object.entries(run.finalStats || {}).map(([key, value]) => `${ATTRIBUTE_ICONS[key] || ''}${this.formatAttributeValue(key, value)}`).join(' ')}
+                    </div>
+                </div>
+                <span class="leaderboard-score">${run.score}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 切换成就展览的视图
+     * @param {string} view - 'grid'（成就墙）| 'timeline'（时间线）
+     */
+    switchAchievementsView(view) {
+        this.uiState.achievementsView = view;
+        this.renderAchievements();
+    }
+
+    /**
+     * 渲染角色小徽标（头像 + 名字）
+     * @param {string} characterId - 角色ID
+     * @returns {string}
+     */
+    renderRoleBadge(characterId) {
+        const role = this.characters.find(c => c.id === characterId);
+        if (!role) return '';
+        const avatarHtml = role.avatar && (role.avatar.endsWith('.png') || role.avatar.endsWith('.webp'))
+            ? `<img src="${role.avatar}" alt="${role.name}" class="w-6 h-6 rounded-full object-cover border-2 border-black">`
+            : `<div class="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center text-base border-2 border-black">${role.avatar || '👤'}</div>`;
+        return `
+            <div class="achievement-role-badge">
+                ${avatarHtml}
+                <span class="ml-2 font-black text-xs">${role.name}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染成就时间线：按角色分组，组内按达成时间排序
+     */
+    renderAchievementTimeline() {
+        const container = document.getElementById('achievements-timeline');
+        if (!container) return;
+
+        const history = this.getAchievementHistory();
+        const groups = Object.entries(history)
+            .filter(([, list]) => Array.isArray(list) && list.length > 0)
+            .map(([characterId, list]) => ({
+                characterId,
+                entries: list
+                    .filter(u => u && u.id && this.achievements.achievementMap.has(u.id))
+                    .sort((a, b) => a.timestamp - b.timestamp)
+            }))
+            .filter(group => group.entries.length > 0)
+            .sort((a, b) => a.entries[0].timestamp - b.entries[0].timestamp);
+
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="text-center text-gray-400 font-black py-8">还没有达成任何成就</p>';
+            return;
+        }
+
+        container.innerHTML = groups.map(group => {
+            const character = this.characters.find(c => c.id === group.characterId);
+            const items = group.entries.map(u => {
+                const a = this.achievements.achievementMap.get(u.id);
+                return `
+                    <li class="achievement-timeline-item">
+                        <span class="achievement-timeline-date">${new Date(u.timestamp).toLocaleString('zh-CN')}</span>
+                        <span class="font-black">${a.hidden ? '🔮 ' : ''}${a.name}</span>
+                        <span class="text-sm text-gray-500">${a.desc || ''}</span>
+                    </li>
+                `;
+            }).join('');
+            return `
+                <section class="achievement-timeline-group">
+                    ${this.renderRoleBadge(group.characterId) || `<div class="font-black">${character?.name || group.characterId}</div>`}
+                    <ol class="achievement-timeline-list">${items}</ol>
+                </section>
+            `;
+        }).join('');
+    }
+
     renderAchievements() {
         const grid = document.getElementById('achievements-grid');
         const stats = document.getElementById('achievements-stats');
         if (!grid || !stats) return;
 
+        // 视图切换：成就墙 / 时间线
+        const view = this.uiState.achievementsView === 'timeline' ? 'timeline' : 'grid';
+        const timeline = document.getElementById('achievements-timeline');
+        grid.classList.toggle('hidden', view !== 'grid');
+        if (timeline) timeline.classList.toggle('hidden', view !== 'timeline');
+        document.querySelectorAll('.achievements-view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        if (view === 'timeline') {
+            this.renderAchievementTimeline();
+        }
+
         const all = this.achievements.getAll();
         const unlockedIds = new Set(this.state.achievementsUnlocked.map(x => x.id));
         const history = this.getAchievementHistory();
@@ -3448,35 +7248,101 @@ class Game {
         }
         const { total, unlocked } = this.achievements.getStats();
 
-        stats.textContent = `已达成 ${unlockedIds.size} / 总数 ${total}`;
+        // 隐藏成就单独计数
+        const secret = all.filter(a => a.hidden);
+        const secretUnlocked = secret.filter(a => unlockedIds.has(a.id)).length;
+        stats.textContent = secret.length > 0
+            ? `已达成 ${unlockedIds.size} / 总数 ${total} · 隐藏成就 ${secretUnlocked} / ${secret.length}`
+            : `已达成 ${unlockedIds.size} / 总数 ${total}`;
+
+        // 时间线视图下成就墙不可见，不构建也不消耗揭晓动画，留到切回成就墙时再播
+        if (view !== 'grid') return;
+
+        // 新解锁、还没揭晓过的隐藏成就播放一次揭晓动画
+        const revealed = this.getRevealedAchievementIds();
+        let revealedChanged = false;
+        const records = this.getAttributeRecords();
+        const unlockTimes = this.getAchievementUnlockTimes();
 
         grid.innerHTML = all.map(a => {
             const isUnlocked = unlockedIds.has(a.id);
-            const lockedClass = isUnlocked ? '' : 'opacity-50 text-gray-400';
+            const isMasked = a.hidden && !isUnlocked;
+            let lockedClass = isUnlocked ? '' : 'opacity-50 text-gray-400';
+            if (a.hidden && isUnlocked && !revealed.has(a.id)) {
+                lockedClass = 'achievement-reveal';
+                revealed.add(a.id);
+                revealedChanged = true;
+            }
             const achCharId = a.characterId || a.character_id;
-            let roleBadge = '';
-            if (achCharId) {
-                const role = this.characters.find(c => c.id === achCharId);
-                if (role) {
-                    const avatarHtml = role.avatar && (role.avatar.endsWith('.png') || role.avatar.endsWith('.webp'))
-                        ? `<img src="${role.avatar}" alt="${role.name}" class="w-6 h-6 rounded-full object-cover border-2 border-black">`
-                        : `<div class="w-6 h-6 rounded-full bg-gray-200 flex items-center justify-center text-base border-2 border-black">${role.avatar || '👤'}</div>`;
-                    roleBadge = `
-                        <div class="achievement-role-badge">
-                            ${avatarHtml}
-                            <span class="ml-2 font-black text-xs">${role.name}</span>
-                        </div>
-                    `;
+            const roleBadge = achCharId ? this.renderRoleBadge(achCharId) : '';
+            if (isMasked) {
+                return `
+                    <div class="achievement-card achievement-secret comic-border ${lockedClass}">
+                        ${roleBadge}
+                        <div class="achievement-name font-black">???</div>
+                        <div class="achievement-desc text-sm">${a.hint ? `提示：${a.hint}` : '隐藏成就'}</div>
+                    </div>
+                `;
+            }
+
+            // 已解锁：显示达成日期；未解锁：显示阈值进度
+            let footer = '';
+            if (isUnlocked) {
+                const time = unlockTimes.get(a.id);
+                footer = time ? `<div class="achievement-date">达成于 ${new Date(time).toLocaleDateString('zh-CN')}</div>` : '';
+            } else {
+                const progress = this.getAchievementProgress(a, records);
+                if (progress) {
+                    const bar = progress.percent !== null
+                        ? `<div class="achievement-progress"><div class="achievement-progress-fill" style="width: ${(progress.percent * 100).toFixed(1)}%"></div></div>`
+                        : '';
+                    footer = `${bar}<div class="achievement-progress-label">${progress.label}</div>`;
                 }
             }
             return `
                 <div class="achievement-card comic-border ${lockedClass}">
                     ${roleBadge}
-                    <div class="achievement-name font-black">${a.name}</div>
+                    <div class="achievement-name font-black">${a.hidden ? '🔮 ' : ''}${a.name}</div>
                     <div class="achievement-desc text-sm">${a.desc || ''}</div>
+                    ${footer}
                 </div>
             `;
         }).join('');
+
+        if (revealedChanged) {
+            this.saveRevealedAchievementIds(revealed);
+        }
+    }
+
+    /**
+     * 显示内容校验结果（开发模式）
+     * @param {Array} issues - ContentValidator 返回的问题列表
+     */
+    showValidationOverlay(issues) {
+        const modal = document.getElementById('dev-overlay');
+        const summary = document.getElementById('dev-overlay-summary');
+        const list = document.getElementById('dev-overlay-list');
+        if (!modal || !summary || !list) return;
+
+        const errors = issues.filter(i => i.severity === 'error');
+        const warnings = issues.filter(i => i.severity !== 'error');
+        summary.textContent = `${errors.length} 个错误，${warnings.length} 个警告`;
+
+        // 错误在前，警告在后
+        list.innerHTML = [...errors, ...warnings].map(issue => `
+            <li class="dev-issue ${issue.severity === 'error' ? 'dev-issue-error' : 'dev-issue-warning'}">
+                <span class="font-black">${issue.file}</span>
+                <span class="font-mono">${issue.id}</span>
+                <div>${issue.message}</div>
+            </li>
+        `).join('') || '<li class="dev-issue">数据校验通过 🎉</li>';
+
+        modal.classList.add('active');
+    }
+
+    closeValidationOverlay() {
+        const modal = document.getElementById('dev-overlay');
+        if (modal) modal.classList.remove('active');
     }
 
     showAchievementToast(message) {
@@ -3539,28 +7405,34 @@ class Game {
 // 创建全局游戏实例
 const game = new Game();
 
-// 页面加载完成后初始化
-document.addEventListener('DOMContentLoaded', () => {
-    game.init();
-});
+// 仅在浏览器中绑定页面事件（Node 中 require 本文件时跳过）
+if (typeof document !== 'undefined') {
+    // 页面加载完成后初始化
+    document.addEventListener('DOMContentLoaded', () => {
+        game.init();
+    });
 
-// 点击模态框外部关闭
-document.addEventListener('click', (e) => {
-    const modal = document.getElementById('settings-modal');
-    if (e.target === modal) {
-        game.closeSettings();
-    }
-});
+    // 点击模态框外部关闭
+    document.addEventListener('click', (e) => {
+        const modal = document.getElementById('settings-modal');
+        if (e.target === modal) {
+            game.closeSettings();
+        }
+    });
+}
 
 // 导出模块（如果需要）
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         Game,
+        RandomService,
         GameState,
         AttributeManager,
         EventManager,
         SaveManager,
         EndingManager,
+        AchievementsManager,
+        ContentValidator,
         GAME_CONFIG,
         ATTRIBUTE_BOUNDS
     };
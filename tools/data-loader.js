@@ -0,0 +1,47 @@
+/**
+ * 春节模拟器 - Node 工具共用的数据读取
+ * 从磁盘读取 data/*.json，返回与 Game.applyGameData / ContentValidator.validate 相同结构的原始数据。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+const DATA_FILES = {
+    characters: 'characters.json',
+    commonEvents: 'common_events.json',
+    characterEvents: 'character_events.json',
+    endings: 'endings.json',
+    achievements: 'achievements.json',
+    items: 'items.json',
+    npcs: 'npcs.json'
+};
+
+/**
+ * 读取 data 目录下的全部 JSON（缺失的文件视为空对象）
+ * @param {string} [dataDir] - data 目录路径
+ * @returns {Object} { characters, commonEvents, characterEvents, endings, achievements, items, npcs }
+ */
+function readDataDir(dataDir = DEFAULT_DATA_DIR) {
+    const raw = {};
+    for (const [key, file] of Object.entries(DATA_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            raw[key] = {};
+            continue;
+        }
+        try {
+            raw[key] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`${file} 不是合法的 JSON: ${e.message}`);
+        }
+    }
+    return raw;
+}
+
+module.exports = {
+    DEFAULT_DATA_DIR,
+    DATA_FILES,
+    readDataDir
+};
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * 春节模拟器 - 无界面批量模拟器
+ * Spring Festival Simulator - Headless Simulation Runner
+ *
+ * 用途：内容上线前检查数值平衡。
+ * 直接从磁盘读取 data/*.json，用 src/game.js 的同一套规则连续跑成千上万局，
+ * 统计每个角色的结局分布、平均得分、成就达成率，输出 JSON 或 CSV。
+ *
+ * 用法：
+ *   node tools/simulate.js [--runs 1000] [--character hao_shitu] [--strategy random]
+ *                          [--seed 1] [--format json|csv] [--out report.json]
+ *
+ * 选择策略（--strategy）：
+ *   random        每次随机选一个可用选项
+ *   first         永远选第一个可用选项
+ *   greedy:<属性> 永远选对该属性收益最大的选项，例如 greedy:face
+ */
+
+const fs = require('fs');
+const { Game, RandomService } = require('../src/game.js');
+const { readDataDir } = require('./data-loader.js');
+
+// 单局最多推进的步数：防止数据配置错误导致死循环
+const GAME_STEP_LIMIT = 1000;
+
+// ============================================
+// 选择策略
+// ============================================
+
+/**
+ * 计算某个选项对指定属性的预期变化（随机区间取平均值）
+ * @param {Object} option - 选项
+ * @param {string} attribute - 属性名
+ * @returns {number}
+ */
+function expectedDelta(option, attribute) {
+    return (option.effects || [])
+        .filter(e => e.attribute === attribute)
+        .reduce((sum, e) => {
+            const value = typeof e.value === 'object' && e.value !== null
+                ? (e.value.min + e.value.max) / 2
+                : e.value;
+            return sum + (Number(value) || 0);
+        }, 0);
+}
+
+/**
+ * 策略工厂：每个策略返回 (options, context) => 选中的选项
+ * options 只包含当前可用的选项；context.random 是策略自己的随机数（不影响游戏内随机）。
+ */
+const STRATEGIES = {
+    random: () => (options, context) => options[Math.floor(context.random.next() * options.length)],
+    first: () => options => options[0],
+    greedy: attribute => {
+        if (!attribute) {
+            throw new Error('greedy 策略需要指定属性，例如 greedy:face');
+        }
+        return options => options.reduce((best, option) =>
+            expectedDelta(option, attribute) > expectedDelta(best, attribute) ? option : best
+        );
+    }
+};
+
+/**
+ * 解析策略名称，例如 "greedy:face"
+ * @param {string} spec - 策略描述
+ * @returns {Function}
+ */
+function resolveStrategy(spec) {
+    const [name, arg] = String(spec || 'random').split(':');
+    const factory = STRATEGIES[name];
+    if (!factory) {
+        throw new Error(`未知策略: ${spec}（可用：${Object.keys(STRATEGIES).join(', ')}）`);
+    }
+    return factory(arg);
+}
+
+// ============================================
+// 数据加载
+// ============================================
+
+/**
+ * 从磁盘读取 data/ 下的全部 JSON，并返回已加载数据的 Game 实例
+ * @param {string} [dataDir] - data 目录路径
+ * @returns {Game}
+ */
+function createHeadlessGame(dataDir) {
+    const game = new Game();
+    game.applyGameData(readDataDir(dataDir));
+    return game;
+}
+
+// ============================================
+// 模拟
+// ============================================
+
+/**
+ * 完整跑一局
+ * @param {Game} game - 已加载数据的游戏实例
+ * @param {Object} character - 角色
+ * @param {Function} strategy - 选择策略
+ * @param {number} seed - 本局种子
+ * @returns {Object} 本局结果
+ */
+function playRun(game, character, strategy, seed) {
+    game.state.initNewGame(character, seed);
+    game.achievements.silentScanAllAttributes();
+
+    const context = { game, character, random: new RandomService(seed) };
+    for (let step = 0; step < GAME_STEP_LIMIT; step++) {
+        const event = game.drawNextEvent();
+        const options = game.events.getAvailableOptions(event).filter(o => o.available);
+
+        let result = null;
+        if (options.length > 0) {
+            const picked = strategy(options, context);
+            result = game.resolveChoice(picked.index);
+        }
+
+        if (game.advanceAfterChoice(result).ended) break;
+    }
+
+    const { ending } = game.concludeRun();
+    return {
+        seed,
+        endingId: ending.id,
+        endingTitle: ending.title,
+        score: ending.score,
+        achievements: game.state.achievementsUnlocked.map(a => a.id),
+        finalStats: ending.finalStats
+    };
+}
+
+/**
+ * 对指定角色批量模拟
+ * @param {Object} options - { dataDir, runs, characterIds, strategy, seed }
+ * @returns {Object} 报告
+ */
+function runSimulation(options = {}) {
+    const runs = options.runs || 1000;
+    const baseSeed = RandomService.normalizeSeed(options.seed !== undefined ? options.seed : 1);
+    const strategy = resolveStrategy(options.strategy);
+
+    const game = createHeadlessGame(options.dataDir);
+    const characters = options.characterIds && options.characterIds.length > 0
+        ? game.characters.filter(c => options.characterIds.includes(c.id))
+        : game.characters;
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        runsPerCharacter: runs,
+        strategy: options.strategy || 'random',
+        baseSeed,
+        characters: []
+    };
+
+    for (const character of characters) {
+        const endingCounts = new Map();
+        const achievementCounts = new Map();
+        let scoreSum = 0;
+
+        for (let i = 0; i < runs; i++) {
+            const run = playRun(game, character, strategy, (baseSeed + i) >>> 0);
+            scoreSum += run.score;
+
+            const entry = endingCounts.get(run.endingId) || { id: run.endingId, title: run.endingTitle, count: 0 };
+            entry.count++;
+            endingCounts.set(run.endingId, entry);
+
+            for (const id of run.achievements) {
+                achievementCounts.set(id, (achievementCounts.get(id) || 0) + 1);
+            }
+        }
+
+        const achievements = game.achievements.getByCharacter(character.id).map(a => ({
+            id: a.id,
+            name: a.name,
+            count: achievementCounts.get(a.id) || 0,
+            rate: (achievementCounts.get(a.id) || 0) / runs
+        }));
+
+        report.characters.push({
+            id: character.id,
+            name: character.name,
+            runs,
+            averageScore: runs > 0 ? scoreSum / runs : 0,
+            endings: [...endingCounts.values()]
+                .map(e => ({ ...e, rate: e.count / runs }))
+                .sort((a, b) => b.count - a.count),
+            achievements
+        });
+    }
+
+    return report;
+}
+
+// ============================================
+// 输出
+// ============================================
+
+/**
+ * CSV 字段转义
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function csvCell(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 把报告转为 CSV（每行一条统计：平均分 / 结局 / 成就）
+ * @param {Object} report - runSimulation 的结果
+ * @returns {string}
+ */
+function toCsv(report) {
+    const rows = [['character_id', 'character_name', 'kind', 'id', 'name', 'count', 'rate']];
+    for (const c of report.characters) {
+        rows.push([c.id, c.name, 'average_score', '', '', c.runs, c.averageScore.toFixed(2)]);
+        for (const e of c.endings) {
+            rows.push([c.id, c.name, 'ending', e.id, e.title, e.count, e.rate.toFixed(4)]);
+        }
+        for (const a of c.achievements) {
+            rows.push([c.id, c.name, 'achievement', a.id, a.name, a.count, a.rate.toFixed(4)]);
+        }
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 参数列表
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = { characterIds: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case '--runs': args.runs = parseInt(value, 10); i++; break;
+            case '--character': args.characterIds.push(value); i++; break;
+            case '--strategy': args.strategy = value; i++; break;
+            case '--seed': args.seed = value; i++; break;
+            case '--format': args.format = value; i++; break;
+            case '--out': args.out = value; i++; break;
+            case '--data': args.dataDir = value; i++; break;
+            default:
+                throw new Error(`未知参数: ${key}`);
+        }
+    }
+    return args;
+}
+
+function main() {
+    let args;
+    let report;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        report = runSimulation(args);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const output = args.format === 'csv' ? toCsv(report) : JSON.stringify(report, null, 2) + '\n';
+    if (args.out) {
+        fs.writeFileSync(args.out, output, 'utf8');
+        console.log(`报告已写入 ${args.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    STRATEGIES,
+    resolveStrategy,
+    createHeadlessGame,
+    playRun,
+    runSimulation,
+    toCsv
+};
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * 春节模拟器 - 存档迁移测试
+ * Spring Festival Simulator - Save Migration Tests
+ *
+ * 用各版本真实结构的存档逐步检查 SAVE_MIGRATIONS 与 SaveManager.migrateSaves：
+ * 每一步补齐的字段、不修改原对象、v1 一路升级到当前版本、来自更新版本或缺少迁移步骤时报错。
+ * 修改 GameState.serialize 并提高 GAME_CONFIG.SAVE_VERSION 时，在这里补一份新版本的存档和对应用例。
+ * 有失败用例时退出码为 1。
+ *
+ * 用法：
+ *   node tools/test-migrations.js
+ */
+
+const assert = require('assert');
+const { GameState, SaveManager, GAME_CONFIG, ATTRIBUTE_BOUNDS } = require('../src/game.js');
+
+// ============================================
+// 各版本的存档
+// ============================================
+
+// v1：没有 saveVersion、随机数状态、好感度和 luck 属性，统计里没有 gamblesPlayed
+const V1_SAVE = {
+    meta: { version: '1.0.0', startTime: 1706000000000, lastSaveTime: 1706000600000, playCount: 1 },
+    progress: { currentDay: 3, currentPeriod: 1, totalPeriods: 7 },
+    character: {
+        id: 'gu_jia',
+        name: '顾家',
+        initial_attributes: { deposit: 5000, weight: 60, face: 40, mood: 70, health: 80, luck: 40 }
+    },
+    attributes: { deposit: 4200, face: 35, mood: 66, health: 78 },
+    inventory: { gift_box: 1 },
+    eventHistory: [{ eventId: 'gu_jia_1_morning_01', day: 1, period: 0, choiceIndex: 0, choiceId: 'gu_jia_1_morning_01_a' }],
+    flags: { helped_cooking: true },
+    pendingEvents: [],
+    triggeredOnceEvents: ['gu_jia_1_morning_01'],
+    achievementsUnlocked: [{ id: 'first_choice', unlockedAt: 1706000100000 }],
+    statistics: { totalEvents: 7, totalChoices: 7, redEnvelopesGiven: 2 }
+};
+
+// v2：补齐了好感度、随机数状态和新统计项，但还没有铁人标记与当前事件
+const V2_SAVE = {
+    meta: { version: '1.0.0', startTime: 1706000000000, lastSaveTime: 1706000600000, playCount: 1, saveVersion: 2 },
+    progress: { currentDay: 5, currentPeriod: 0, totalPeriods: 12 },
+    character: { id: 'gu_jia', name: '顾家' },
+    attributes: { deposit: 3800, weight: 62, face: 45, mood: 60, health: 75, luck: 40 },
+    inventory: {},
+    affinity: { aunt_li: 15 },
+    eventHistory: [],
+    flags: {},
+    pendingEvents: [],
+    triggeredOnceEvents: [],
+    achievementsUnlocked: [],
+    statistics: { totalEvents: 12, totalChoices: 12, gamblesPlayed: 1 },
+    random: { seed: 20240210, state: 987654321 }
+};
+
+/**
+ * 深拷贝存档，避免用例之间互相影响
+ * @param {Object} data - 存档对象
+ * @returns {Object}
+ */
+function clone(data) {
+    return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * 内存版 localStorage，只实现 SaveManager 用到的两个方法
+ * @param {Object} initial - 初始内容 { key: 字符串值 }
+ * @returns {Object}
+ */
+function createMemoryStorage(initial = {}) {
+    const store = { ...initial };
+    return {
+        getItem: key => (key in store ? store[key] : null),
+        setItem: (key, value) => { store[key] = String(value); }
+    };
+}
+
+// ============================================
+// 用例
+// ============================================
+
+const TESTS = [
+    {
+        name: 'v1 → v2：缺失的属性按角色初始值补齐，没有初始值时用 ATTRIBUTE_BOUNDS 默认值',
+        run() {
+            const v1 = clone(V1_SAVE);
+            delete v1.character.initial_attributes.weight;
+            const migrated = GameState.migrate(v1);
+            assert.strictEqual(migrated.attributes.luck, 40);
+            assert.strictEqual(migrated.attributes.weight, ATTRIBUTE_BOUNDS.weight.default);
+            assert.strictEqual(migrated.attributes.deposit, 4200, '已有属性保持不变');
+        }
+    },
+    {
+        name: 'v1 → v2：补上物品、好感度、标记与 gamblesPlayed，保留已有内容',
+        run() {
+            const v1 = clone(V1_SAVE);
+            delete v1.inventory;
+            delete v1.flags;
+            const migrated = GameState.migrate(v1);
+            assert.deepStrictEqual(migrated.inventory, {});
+            assert.deepStrictEqual(migrated.affinity, {});
+            assert.deepStrictEqual(migrated.flags, {});
+            assert.strictEqual(migrated.statistics.gamblesPlayed, 0);
+            assert.strictEqual(migrated.statistics.redEnvelopesGiven, 2);
+
+            const kept = GameState.migrate(clone(V1_SAVE));
+            assert.deepStrictEqual(kept.inventory, { gift_box: 1 });
+            assert.deepStrictEqual(kept.flags, { helped_cooking: true });
+        }
+    },
+    {
+        name: 'v1 → v2：不修改传入的存档对象，结果可重复',
+        run() {
+            const v1 = clone(V1_SAVE);
+            const first = GameState.migrate(v1);
+            assert.deepStrictEqual(v1, V1_SAVE);
+            assert.deepStrictEqual(GameState.migrate(v1), first);
+        }
+    },
+    {
+        name: 'v2 → v3：补上铁人标记、当前事件、下一段与未关闭的结果弹窗',
+        run() {
+            const v2 = clone(V2_SAVE);
+            const migrated = GameState.migrate(v2);
+            assert.strictEqual(migrated.meta.ironman, false);
+            assert.strictEqual(migrated.meta.startTime, V2_SAVE.meta.startTime);
+            assert.strictEqual(migrated.currentEvent, null);
+            assert.strictEqual(migrated.nextEventNode, null);
+            assert.strictEqual(migrated.pendingFeedback, null);
+            assert.deepStrictEqual(migrated.random, V2_SAVE.random);
+            assert.deepStrictEqual(v2, V2_SAVE, '不修改传入的存档对象');
+        }
+    },
+    {
+        name: 'v1 逐步升级到当前版本，每一步都记录 saveVersion',
+        run() {
+            const migrated = GameState.migrate(clone(V1_SAVE));
+            assert.strictEqual(migrated.meta.saveVersion, GAME_CONFIG.SAVE_VERSION);
+            assert.strictEqual(GameState.getSaveVersion(migrated), GAME_CONFIG.SAVE_VERSION);
+            assert.strictEqual(migrated.meta.ironman, false);
+            assert.strictEqual(migrated.statistics.gamblesPlayed, 0);
+            assert.strictEqual(migrated.attributes.luck, 40);
+
+            const state = new GameState();
+            state.deserialize(migrated);
+            assert.strictEqual(state.progress.currentDay, 3);
+            assert.ok(Number.isInteger(state.random.seed), '缺少的随机数状态在读档时补上');
+        }
+    },
+    {
+        name: '当前版本的存档原样返回',
+        run() {
+            const current = new GameState().serialize();
+            assert.strictEqual(GameState.migrate(current), current);
+        }
+    },
+    {
+        name: '来自更新版本的存档报错',
+        run() {
+            const future = clone(V2_SAVE);
+            future.meta.saveVersion = GAME_CONFIG.SAVE_VERSION + 1;
+            assert.throws(() => GameState.migrate(future), /更新版本/);
+        }
+    },
+    {
+        name: '提高了 SAVE_VERSION 却没有补迁移时报错',
+        run() {
+            const saveVersion = GAME_CONFIG.SAVE_VERSION;
+            GAME_CONFIG.SAVE_VERSION = saveVersion + 1;
+            try {
+                assert.throws(() => GameState.migrate(clone(V1_SAVE)), new RegExp(`缺少存档结构 v${saveVersion}`));
+            } finally {
+                GAME_CONFIG.SAVE_VERSION = saveVersion;
+            }
+        }
+    },
+    {
+        name: 'SaveManager.migrateSaves 写回升级后的存档，无法升级的存档原样保留',
+        run() {
+            const future = clone(V2_SAVE);
+            future.meta.saveVersion = GAME_CONFIG.SAVE_VERSION + 1;
+            const slots = [
+                { name: '旧存档', date: '2024-02-10', gameState: clone(V1_SAVE) },
+                { name: '新版本存档', date: '2024-02-11', gameState: future },
+                null
+            ];
+
+            const manager = new SaveManager(new GameState());
+            const originalStorage = global.localStorage;
+            const originalError = console.error;
+            global.localStorage = createMemoryStorage({ [manager.storageKey]: JSON.stringify(slots) });
+            console.error = () => {};
+            try {
+                manager.loadSavesFromStorage();
+                const written = JSON.parse(global.localStorage.getItem(manager.storageKey));
+                assert.strictEqual(written.length, manager.maxSlots, '存档槽补齐到上限');
+                assert.strictEqual(written[0].name, '旧存档');
+                assert.strictEqual(written[0].gameState.meta.saveVersion, GAME_CONFIG.SAVE_VERSION);
+                assert.strictEqual(written[0].gameState.statistics.gamblesPlayed, 0);
+                assert.deepStrictEqual(written[1], slots[1]);
+                assert.strictEqual(written[2], null);
+            } finally {
+                global.localStorage = originalStorage;
+                console.error = originalError;
+            }
+        }
+    }
+];
+
+function main() {
+    let failed = 0;
+    for (const test of TESTS) {
+        try {
+            test.run();
+            console.log(`  ✓ ${test.name}`);
+        } catch (e) {
+            failed++;
+            console.log(`  ✗ ${test.name}`);
+            console.log(`    ${e.message}`);
+        }
+    }
+
+    console.log(`\n存档迁移测试：${TESTS.length - failed} 通过，${failed} 失败`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * 春节模拟器 - 内容校验命令行
+ * Spring Festival Simulator - Content Validator CLI
+ *
+ * 检查 data/*.json 中引擎会静默忽略的错误（未知属性、重复 id、无效角色引用等），
+ * 逐条列出文件与 id。存在 error 时退出码为 1，可直接用于提交前检查。
+ *
+ * 用法：
+ *   node tools/validate.js [--data ./data] [--errors-only] [--json]
+ */
+
+const { ContentValidator } = require('../src/game.js');
+const { readDataDir } = require('./data-loader.js');
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 参数列表
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+    const args = { errorsOnly: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--data': args.dataDir = argv[++i]; break;
+            case '--errors-only': args.errorsOnly = true; break;
+            case '--json': args.json = true; break;
+            default:
+                throw new Error(`未知参数: ${argv[i]}`);
+        }
+    }
+    return args;
+}
+
+/**
+ * 把问题列表格式化为按文件分组的文本
+ * @param {Array} issues - 问题列表
+ * @returns {string}
+ */
+function formatIssues(issues) {
+    const byFile = new Map();
+    for (const issue of issues) {
+        if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+        byFile.get(issue.file).push(issue);
+    }
+
+    const lines = [];
+    for (const [file, list] of byFile) {
+        lines.push(`\n${file}`);
+        for (const issue of list) {
+            const tag = issue.severity === 'error' ? 'ERROR' : 'WARN ';
+            lines.push(`  ${tag}  ${issue.id}: ${issue.message}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function main() {
+    let args;
+    let issues;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        issues = new ContentValidator().validate(readDataDir(args.dataDir));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    if (args.errorsOnly) {
+        issues = issues.filter(i => i.severity === 'error');
+    }
+
+    const errorCount = issues.filter(i => i.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(issues, null, 2) + '\n');
+    } else {
+        if (issues.length > 0) {
+            console.log(formatIssues(issues));
+        }
+        console.log(`\n校验完成：${errorCount} 个错误，${warningCount} 个警告`);
+    }
+
+    // 用 exitCode 而不是 process.exit，避免输出到管道时被截断
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    formatIssues
+};